@@ -1,185 +1,64 @@
 ﻿// Tour de France Vestaboard Integration with Advanced Formatting
-const axios = require('axios');
-const cheerio = require('cheerio');
 const dotenv = require('dotenv');
 const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
 
 // Load environment variables from .env file
 dotenv.config();
 
-// Character codes for Vestaboard
-const VESTABOARD_CHARS = {
-    // Blank
-    BLANK: 0,
-
-    // Letters (uppercase only on Vestaboard)
-    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, J: 10,
-    K: 11, L: 12, M: 13, N: 14, O: 15, P: 16, Q: 17, R: 18, S: 19, T: 20,
-    U: 21, V: 22, W: 23, X: 24, Y: 25, Z: 26,
-
-    // Numbers
-    '1': 27, '2': 28, '3': 29, '4': 30, '5': 31, '6': 32,
-    '7': 33, '8': 34, '9': 35, '0': 36,
-
-    // Special characters
-    '!': 37, '@': 38, '#': 39, '$': 40, '(': 41, ')': 42,
-    '-': 44, '+': 46, '&': 47, '=': 48, ';': 49, ':': 50,
-    "'": 52, '"': 53, '%': 54, ',': 55, '.': 56, '/': 59,
-    '?': 60, '°': 62,
-
-    // Colors
-    RED: 63, ORANGE: 64, YELLOW: 65, GREEN: 66, BLUE: 67, VIOLET: 68,
-    WHITE: 69, BLACK: 70, FILLED: 71
-};
-
-// Text alignment options
-const ALIGN = {
-    LEFT: 'left',
-    CENTER: 'center',
-    RIGHT: 'right'
-};
-
-// Constants
-const READ_WRITE_KEY = process.env.VESTABOARD_READ_WRITE_KEY;
-const VESTABOARD_API_URL = 'https://rw.vestaboard.com/';
-const DATA_CACHE_PATH = path.join(__dirname, 'cache.json');
-const CACHE_DURATION = parseInt(process.env.CACHE_DURATION || '3600000', 10); // Default: 1 hour
-
-const RATE_LIMIT_DELAY = 16000; // 16 seconds to be safe (API requires 15 seconds)
-let lastApiCall = 0; // Track last API call timestamp
-
-// Rate limiting helper function
-const enforceRateLimit = async () => {
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
-
-    if (timeSinceLastCall < RATE_LIMIT_DELAY) {
-        const waitTime = RATE_LIMIT_DELAY - timeSinceLastCall;
-        console.log(`Rate limiting: waiting ${Math.ceil(waitTime / 1000)} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    lastApiCall = Date.now();
-};
-
+// Shared board rendering and cache helpers
+const {
+    VESTABOARD_CHARS,
+    RATE_LIMIT_DELAY,
+    textToCharCodes,
+    createFilledRow,
+    validateGrid
+} = require('./lib/vestaboard');
+const { PRIORITY, getMaxAttempts, getRetryDelay, enqueuePost, startQueue } = require('./lib/queue');
+const {
+    CACHE_DURATION,
+    FINISHED_STAGE_CACHE_DURATION,
+    EMPTY_RESULTS_CACHE_DURATION,
+    getCacheKey,
+    getCacheEntry,
+    loadDataFromCache,
+    saveDataToCache,
+    clearCache
+} = require('./lib/cache');
+const { toDateKey, getCalendar, resolveStage, getStageInfo } = require('./lib/calendar');
+const { DEFAULT_RACE, getRace } = require('./lib/races');
+const { PROVIDERS, getProviderName, getProvider } = require('./lib/providers');
+const { TRANSPORTS, getTransportName, getMissingSettings } = require('./lib/transports');
+const { DEFAULT_BOARD, isPostedBoard } = require('./lib/board');
+const { loadBoards, getPrimaryBoard } = require('./lib/boards');
+const { getFinishers } = require('./lib/results');
+const { summarizeResults, mergeSummary, detectChanges, loadLastPosted, saveLastPosted } = require('./lib/changes');
+const { getAlertDuration, getWatchedRiders, getAlerts, showAlert } = require('./lib/alerts');
+const { loadWatchlist } = require('./lib/watchlist');
+const { loadArchivedStage, archiveStage, findOnThisDay } = require('./lib/archive');
+const { formatRiderName, getViewNames, renderView, renderViews } = require('./lib/views');
+const { ROTATION_STATE, getPlaylist, createRotation } = require('./lib/playlist');
+const { LIVE_STATUS, getPollInterval, createLiveTracker } = require('./lib/live');
+const {
+    COMMAND_POLL_INTERVAL,
+    STATE_PUBLISH_INTERVAL,
+    APPLIED_COMMANDS_KEPT,
+    saveWorkerState,
+    takeWorkerCommand
+} = require('./lib/worker');
 
 // Current date to determine the Tour de France stage
 const getCurrentDate = () => {
     const now = new Date();
     return {
-        year: now.getFullYear(),
+        // CURRENT_YEAR pins the season, e.g. to replay a past race from fixtures
+        year: process.env.CURRENT_YEAR ? parseInt(process.env.CURRENT_YEAR, 10) : now.getFullYear(),
         month: now.getMonth() + 1, // JavaScript months are 0-indexed
         day: now.getDate()
     };
 };
 
-// Convert text to character codes
-const textToCharCodes = (text) => {
-    const result = [];
-
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i].toUpperCase();
-
-        if (VESTABOARD_CHARS[char] !== undefined) {
-            result.push(VESTABOARD_CHARS[char]);
-        } else if (char === ' ') {
-            result.push(VESTABOARD_CHARS.BLANK);
-        } else {
-            // Character not supported, replace with blank
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
-    }
-
-    return result;
-};
-
-// Format a single line of text with alignment
-const formatLine = (text, alignment = ALIGN.LEFT, maxLength = 22) => {
-    const charCodes = textToCharCodes(text);
-
-    // Truncate if longer than maxLength
-    if (charCodes.length > maxLength) {
-        return charCodes.slice(0, maxLength);
-    }
-
-    // Add padding based on alignment
-    const paddingSize = maxLength - charCodes.length;
-    const result = [...charCodes];
-
-    if (alignment === ALIGN.RIGHT) {
-        // Right alignment: add padding at the beginning
-        for (let i = 0; i < paddingSize; i++) {
-            result.unshift(VESTABOARD_CHARS.BLANK);
-        }
-    } else if (alignment === ALIGN.CENTER) {
-        // Center alignment: add padding evenly on both sides
-        const leftPadding = Math.floor(paddingSize / 2);
-        const rightPadding = paddingSize - leftPadding;
-
-        // Add left padding
-        for (let i = 0; i < leftPadding; i++) {
-            result.unshift(VESTABOARD_CHARS.BLANK);
-        }
-
-        // Add right padding
-        for (let i = 0; i < rightPadding; i++) {
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
-    } else {
-        // Left alignment: add padding at the end
-        for (let i = 0; i < paddingSize; i++) {
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
-    }
-
-    return result;
-};
-
-// Create a stylized header with color accents
-const createStylizedHeader = (text, colorCode = VESTABOARD_CHARS.YELLOW) => {
-    const charCodes = textToCharCodes(text);
-    const maxTextLength = 18; // 22 - 4 for color blocks (2 on each side)
-
-    // Truncate if necessary
-    const truncatedCharCodes = charCodes.length > maxTextLength
-        ? charCodes.slice(0, maxTextLength)
-        : charCodes;
-
-    // Calculate padding for center alignment
-    const paddingSize = maxTextLength - truncatedCharCodes.length;
-    const leftPadding = Math.floor(paddingSize / 2);
-    const rightPadding = paddingSize - leftPadding;
-
-    // Create the final line with color blocks
-    const result = [
-        colorCode,
-        colorCode
-    ];
-
-    // Add left padding
-    for (let i = 0; i < leftPadding; i++) {
-        result.push(VESTABOARD_CHARS.BLANK);
-    }
-
-    // Add text
-    result.push(...truncatedCharCodes);
-
-    // Add right padding
-    for (let i = 0; i < rightPadding; i++) {
-        result.push(VESTABOARD_CHARS.BLANK);
-    }
-
-    // Add ending color blocks
-    result.push(colorCode);
-    result.push(colorCode);
-
-    return result;
-};
-
-// Get the current Tour de France stage based on date
-const getCurrentStage = async () => {
+// Get the current stage of a race from its calendar
+const getCurrentStage = async (raceId = DEFAULT_RACE) => {
     // Check for override in environment variables
     if (process.env.CURRENT_STAGE) {
         const stage = parseInt(process.env.CURRENT_STAGE, 10);
@@ -188,336 +67,78 @@ const getCurrentStage = async () => {
     }
 
     const { year } = getCurrentDate();
-    const url = `https://www.procyclingstats.com/race/tour-de-france/${year}`;
-
-    try {
-        console.log(`Fetching Tour de France schedule from ${url}...`);
-        const response = await axios.get(url);
-        const $ = cheerio.load(response.data);
-
-        // Find all rows with stage information
-        // This table appears to have days of the week in one column and dates in another
-        const stages = [];
-
-        // Look for stage data in the page - table structure changed
-        $('table tbody tr').each((i, row) => {
-            const cells = $(row).find('td');
-
-            // Check if this row contains a stage reference
-            const stageText = $(row).text().trim();
-
-            // Look for "Stage X" pattern in any cell
-            const stageMatch = stageText.match(/Stage\s+(\d+)/i);
-            if (stageMatch) {
-                const stageNumber = parseInt(stageMatch[1], 10);
-
-                // Look for date information
-                const dateText = $(cells).first().text().trim();
-                const dateMatch = dateText.match(/(\d+)\/(\d+)/);
-
-                if (dateMatch) {
-                    // Date is in DD/MM format for European date format
-                    const day = parseInt(dateMatch[1], 10);
-                    const month = parseInt(dateMatch[2], 10);
-
-                    // In Europe, dates are day/month, so 05/07 means July 5th, not May 7th
-                    const stageDate = new Date(year, month - 1, day); // Month is 0-indexed in JS
-
-                    stages.push({
-                        date: stageDate,
-                        stageNumber
-                    });
-
-                    console.log(`Found Stage ${stageNumber} on ${day}/${month}/${year} (${stageDate.toISOString().split('T')[0]})`);
-                } else if (dateText.startsWith('Stage')) {
-                    // Alternative approach: If no date, use stage number from previous rows
-                    // This happens in result tables where stages are listed with winners
-                    console.log(`Found Stage ${stageNumber} (no date)`);
-                    stages.push({
-                        stageNumber,
-                        completed: true // Mark as completed since it has results
-                    });
-                }
-            }
-        });
-
-        // If we still have no stages, try alternative parsing
-        if (stages.length === 0) {
-            // Look for completed stages with results
-            $('table.basic tbody tr').each((i, row) => {
-                const cells = $(row).find('td');
-                if (cells.length >= 2) {
-                    const col1 = $(cells[0]).text().trim();
-                    const col2 = $(cells[1]).text().trim();
-
-                    // Check if first column contains stage info
-                    const stageMatch = col1.match(/Stage\s+(\d+)/i);
-                    if (stageMatch) {
-                        const stageNumber = parseInt(stageMatch[1], 10);
-
-                        // If second column has a rider name, the stage is completed
-                        if (col2 && col2.includes(' ')) {
-                            console.log(`Found completed Stage ${stageNumber} with winner ${col2}`);
-                            stages.push({
-                                stageNumber,
-                                completed: true
-                            });
-                        } else {
-                            console.log(`Found upcoming Stage ${stageNumber}`);
-                            stages.push({
-                                stageNumber,
-                                completed: false
-                            });
-                        }
-                    }
-                }
-            });
-        }
-
-        console.log(`Found ${stages.length} stages`);
-
-        // If we found stages with dates, use those to determine current stage
-        const stagesWithDates = stages.filter(stage => stage.date);
-        if (stagesWithDates.length > 0) {
-            // Sort stages by date
-            stagesWithDates.sort((a, b) => a.date - b.date);
-
-            // Find the current or most recent stage
-            const today = new Date();
-            console.log(`Today: ${today.toISOString().split('T')[0]}`);
-            today.setHours(0, 0, 0, 0);
-
-            // Find current stage (today's stage)
-            const currentStage = stagesWithDates.find(stage => {
-                const stageDate = new Date(stage.date);
-                stageDate.setHours(0, 0, 0, 0);
-                return stageDate.getTime() === today.getTime();
-            });
-
-            if (currentStage) {
-                console.log(`Found current stage: ${currentStage.stageNumber}`);
-                return currentStage.stageNumber;
-            }
-
-            // If no stage today, find the most recent stage
-            console.log(`No stage today, looking for most recent stage...`);
-            for (let i = stagesWithDates.length - 1; i >= 0; i--) {
-                const stageDate = new Date(stagesWithDates[i].date);
-                stageDate.setHours(0, 0, 0, 0);
-                if (stageDate < today) {
-                    console.log(`Found most recent stage: ${stagesWithDates[i].stageNumber}`);
-                    return stagesWithDates[i].stageNumber;
-                }
-            }
+    const calendar = await getCalendar(year, raceId);
+    const current = resolveStage(calendar);
 
-            // If Tour hasn't started yet, return the first stage
-            console.log(`Tour hasn't started yet, returning first stage: ${stagesWithDates[0].stageNumber}`);
-            return stagesWithDates[0].stageNumber;
-        }
-
-        // If we only have stage numbers without dates (from results table)
-        if (stages.length > 0) {
-            // Find the highest completed stage
-            const completedStages = stages.filter(stage => stage.completed);
-            if (completedStages.length > 0) {
-                // Get the highest stage number
-                const highestStage = Math.max(...completedStages.map(stage => stage.stageNumber));
-                console.log(`Using highest completed stage: ${highestStage}`);
-                return highestStage;
-            }
-
-            // If no completed stages, use the first stage
-            console.log(`No completed stages, using first stage: ${stages[0].stageNumber}`);
-            return stages[0].stageNumber;
-        }
-
-        // Fallback: Check if we're in July (Tour de France month) and set a stage based on day
-        const currentMonth = new Date().getMonth() + 1; // 1-indexed month
-        const currentDay = new Date().getDate();
-
-        if (currentMonth === 7 && currentDay >= 5 && currentDay <= 27) {
-            // Approximate stage based on date (Tour typically starts first Saturday in July)
-            const approximateStage = Math.min(currentDay - 4, 21); // Max 21 stages
-            console.log(`Approximating stage based on July date: ${approximateStage}`);
-            return approximateStage;
-        }
+    if (!current) {
+        console.error(`No ${raceId} calendar available for ${year}`);
+        return null;
+    }
 
-        // Last resort: try to get current stage from the URL or page content
-        const pageUrl = response.request.res.responseUrl || url;
-        const urlMatch = pageUrl.match(/stage-(\d+)/i);
-        if (urlMatch) {
-            console.log(`Extracted stage from URL: ${urlMatch[1]}`);
-            return parseInt(urlMatch[1], 10);
-        }
+    console.log(`Calendar: stage ${current.stageNumber} (${current.status})`);
+    return current.stageNumber;
+};
 
-        // If all else fails, use stage 6 (current stage from the date)
-        console.log(`Using hardcoded current stage: 6`);
-        return 6;
+// Fetch stage results from the configured results provider
+const fetchStageResults = (stageNumber, year, raceId = DEFAULT_RACE) =>
+    getProvider().fetchStageResults(stageNumber, year, raceId);
 
-    } catch (error) {
-        console.error('Error fetching Tour de France schedule:', error.message);
-        if (error.response) {
-            console.error('Response status:', error.response.status);
-        }
+// Fetch GC standings
+const fetchGCResults = (stageNumber, year, raceId = DEFAULT_RACE) =>
+    getProvider().fetchGCResults(stageNumber, year, raceId);
 
-        // Fallback to current stage based on today's date in July
-        const currentMonth = new Date().getMonth() + 1; // 1-indexed month
-        const currentDay = new Date().getDate();
+// Fetch jersey holders (leader, points, mountains, youth - see lib/races.js for each race's names)
+const fetchJerseyHolders = (stageNumber, year, raceId = DEFAULT_RACE) =>
+    getProvider().fetchJerseyHolders(stageNumber, year, raceId);
 
-        if (currentMonth === 7 && currentDay >= 5 && currentDay <= 27) {
-            // Approximate stage based on date (Tour typically starts first Saturday in July)
-            const approximateStage = Math.min(currentDay - 4, 21); // Max 21 stages
-            console.log(`Approximating stage based on July date: ${approximateStage}`);
-            return approximateStage;
-        }
+// Fetch the live race situation (km to go, breakaway, sprint and KOM winners)
+const fetchLiveRace = (stageNumber, year, raceId = DEFAULT_RACE) =>
+    getProvider().fetchLiveRace(stageNumber, year, raceId);
 
-        // Final fallback to stage 6
-        console.log(`Using fallback stage number due to error: 6`);
-        return 6;
+// Additional validation function
+const validateEnvironment = () => {
+    if (!TRANSPORTS[getTransportName()]) {
+        console.error(`ERROR: Unknown VESTABOARD_TRANSPORT "${getTransportName()}"`);
+        process.exit(1);
     }
-};
-
-// Fetch stage results
-const fetchStageResults = async (stageNumber, year) => {
-    const url = `https://www.procyclingstats.com/race/tour-de-france/${year}/stage-${stageNumber}`;
 
-    try {
-        console.log(`Fetching stage results from ${url}...`);
-        const response = await axios.get(url);
-        const $ = cheerio.load(response.data);
-
-        const results = [];
-
-        // Extract the top 5 riders
-        $('table.results tbody tr').slice(0, 5).each((i, element) => {
-            const position = $(element).find('td').eq(0).text().trim();
-            const riderName = $(element).find('td.name a').text().trim();
-            const teamName = $(element).find('td a.team').text().trim();
-
-            if (position && riderName) {
-                results.push({
-                    position,
-                    rider: riderName,
-                    team: teamName
-                });
-            }
-        });
-
-        return results;
-    } catch (error) {
-        console.error(`Error fetching stage ${stageNumber} results:`, error.message);
-        return [];
+    // Boards from boards.json are checked as they load; the default board comes from .env
+    const boards = loadBoards();
+    const missingSettings = boards[0].name === DEFAULT_BOARD ? getMissingSettings() : [];
+    if (missingSettings.length > 0) {
+        console.error(`ERROR: ${missingSettings.join(', ')} required for the ${getTransportName()} transport in .env file`);
+        process.exit(1);
     }
-};
 
-// Fetch GC standings
-const fetchGCResults = async (stageNumber, year) => {
-    const url = `https://www.procyclingstats.com/race/tour-de-france/${year}/stage-${stageNumber}-gc`;
-
-    try {
-        console.log(`Fetching GC results from ${url}...`);
-        const response = await axios.get(url);
-        const $ = cheerio.load(response.data);
-
-        const results = [];
-
-        // Extract the top 5 riders in GC
-        $('table.results tbody tr').slice(0, 5).each((i, element) => {
-            const position = $(element).find('td').eq(0).text().trim();
-            const riderName = $(element).find('td.name a').text().trim();
-            const teamName = $(element).find('td a.team').text().trim();
-            const timeGap = $(element).find('td.time').text().trim();
-
-            if (position && riderName) {
-                results.push({
-                    position,
-                    rider: riderName,
-                    team: teamName,
-                    timeGap: position === '1' ? 'LEADER' : timeGap
-                });
-            }
-        });
-
-        return results;
-    } catch (error) {
-        console.error(`Error fetching GC results after stage ${stageNumber}:`, error.message);
-        return [];
+    // A view name that does not exist would make every update or rotation fail
+    const viewNames = getViewNames();
+    const unknownViews = [
+        ...boards.filter(board => !viewNames.includes(board.view)).map(board => `"${board.view}" (board ${board.name})`),
+        ...getPlaylist().filter(viewName => !viewNames.includes(viewName)).map(viewName => `"${viewName}" (PLAYLIST)`)
+    ];
+    if (unknownViews.length > 0) {
+        console.error(`ERROR: Unknown view ${unknownViews.join(', ')}; expected one of: ${viewNames.join(', ')}`);
+        process.exit(1);
     }
-};
-
-// Fetch jersey holders (yellow, green, polka dot, white)
-const fetchJerseyHolders = async (stageNumber, year) => {
-    const url = `https://www.procyclingstats.com/race/tour-de-france/${year}/stage-${stageNumber}`;
-
-    try {
-        console.log(`Fetching jersey holders from ${url}...`);
-        const response = await axios.get(url);
-        const $ = cheerio.load(response.data);
-
-        const jerseys = {
-            yellow: null,  // GC leader
-            green: null,   // Points classification
-            polkaDot: null, // Mountains classification
-            white: null    // Young rider classification
-        };
-
-        // Try to find jersey holders in the page
-        // This is more complex and might need adjustments based on the actual HTML structure
-
-        // Look for jersey information in the results section
-        $('div.res-right div.restabs ul li').each((i, element) => {
-            const text = $(element).text().trim().toLowerCase();
 
-            if (text.includes('points') || text.includes('green')) {
-                const holderSelector = $(element).find('a').attr('href');
-                if (holderSelector) {
-                    const holder = $(holderSelector).find('td.name a').first().text().trim();
-                    if (holder) jerseys.green = holder;
-                }
-            } else if (text.includes('mountain') || text.includes('polka')) {
-                const holderSelector = $(element).find('a').attr('href');
-                if (holderSelector) {
-                    const holder = $(holderSelector).find('td.name a').first().text().trim();
-                    if (holder) jerseys.polkaDot = holder;
-                }
-            } else if (text.includes('young') || text.includes('white')) {
-                const holderSelector = $(element).find('a').attr('href');
-                if (holderSelector) {
-                    const holder = $(holderSelector).find('td.name a').first().text().trim();
-                    if (holder) jerseys.white = holder;
-                }
-            }
-        });
-
-        // Yellow jersey holder is the GC leader
-        $('table.results tbody tr').first().each((i, element) => {
-            const riderName = $(element).find('td.name a').text().trim();
-            if (riderName) jerseys.yellow = riderName;
-        });
-
-        return jerseys;
-    } catch (error) {
-        console.error(`Error fetching jersey holders after stage ${stageNumber}:`, error.message);
-        return {
-            yellow: null,
-            green: null,
-            polkaDot: null,
-            white: null
-        };
+    if (!getRace(DEFAULT_RACE)) {
+        console.error(`ERROR: Unknown RACE "${DEFAULT_RACE}"`);
+        process.exit(1);
     }
-};
 
-// Additional validation function
-const validateEnvironment = () => {
-    if (!READ_WRITE_KEY) {
-        console.error('ERROR: VESTABOARD_READ_WRITE_KEY is required in .env file');
+    if (!PROVIDERS[getProviderName()]) {
+        console.error(`ERROR: Unknown RESULTS_PROVIDER "${getProviderName()}"`);
         process.exit(1);
     }
 
     // Log configuration
     console.log('Configuration:');
-    console.log(`- Cache Duration: ${CACHE_DURATION}ms (${Math.floor(CACHE_DURATION / 60000)} minutes)`);
+    console.log(`- Race: ${getRace(DEFAULT_RACE).name}`);
+    console.log(`- Results Provider: ${getProviderName()}`);
+    console.log(`- Boards: ${boards.map(board => `${board.name} (${board.transport}, ${board.view})`).join(', ')}`);
+    console.log(`- Cache Duration: ${CACHE_DURATION}ms (${Math.floor(CACHE_DURATION / 60000)} minutes, finished stages ${Math.floor(FINISHED_STAGE_CACHE_DURATION / 60000)} minutes, without results ${Math.floor(EMPTY_RESULTS_CACHE_DURATION / 60000)} minutes)`);
     console.log(`- Rate Limit Delay: ${RATE_LIMIT_DELAY}ms`);
+    console.log(`- Post Retries: ${getMaxAttempts()} attempts, backing off from ${getRetryDelay(1) / 1000}s`);
     console.log(`- Test Mode: ${process.env.RUN_TEST ? 'ENABLED' : 'DISABLED'}`);
     console.log(`- Update Schedule: ${process.env.UPDATE_SCHEDULE || '0 * * * * (hourly)'}`);
 
@@ -525,166 +146,45 @@ const validateEnvironment = () => {
         console.log(`- Stage Override: ${process.env.CURRENT_STAGE}`);
     }
 
-    if (process.env.DISPLAY_MODE) {
-        console.log(`- Display Mode: ${process.env.DISPLAY_MODE}`);
-    }
-};
-
-const validateVestaboardMessage = (message) => {
-    if (!message || !message.characters) {
-        console.error('Message is missing characters array');
-        return false;
-    }
-
-    const characters = message.characters;
-
-    if (!Array.isArray(characters)) {
-        console.error('Characters must be an array');
-        return false;
-    }
-
-    if (characters.length !== 6) {
-        console.error(`Characters array must have exactly 6 rows, found ${characters.length}`);
-        return false;
-    }
-
-    for (let i = 0; i < characters.length; i++) {
-        if (!Array.isArray(characters[i])) {
-            console.error(`Row ${i} must be an array`);
-            return false;
-        }
-
-        if (characters[i].length !== 22) {
-            console.error(`Row ${i} must have exactly 22 characters, found ${characters[i].length}`);
-            return false;
-        }
-
-        for (let j = 0; j < characters[i].length; j++) {
-            const code = characters[i][j];
-            if (typeof code !== 'number' || code < 0 || code > 71) {
-                console.error(`Invalid character code at position [${i}][${j}]: ${code}`);
-                return false;
-            }
-        }
-    }
-
-    return true;
-};
-
-// Also update the formatTourData function to return the array directly
-const formatTourData = (stageResults, gcResults, jerseys, stageNumber) => {
-    // Create a colorful header
-    const headerRow = createStylizedHeader(`TOUR DE FRANCE S${stageNumber}`, VESTABOARD_CHARS.YELLOW);
-
-    // Format rider names - get just the last name
-    const formatRiderName = (name) => {
-        if (!name) return '';
-        const parts = name.split(' ');
-        return parts[parts.length - 1].toUpperCase();
-    };
-
-    // Create stage results row
-    let stageRow = [];
-    if (stageResults.length > 0) {
-        stageRow = formatLine(`1. ${formatRiderName(stageResults[0].rider)}`, ALIGN.LEFT);
-    } else {
-        stageRow = formatLine(`STAGE RESULTS PENDING`, ALIGN.LEFT);
-    }
-
-    // Create second rider in stage results
-    let secondRiderRow = [];
-    if (stageResults.length > 1) {
-        secondRiderRow = formatLine(`2. ${formatRiderName(stageResults[1].rider)}`, ALIGN.LEFT);
-    } else {
-        secondRiderRow = formatLine(``, ALIGN.LEFT);
-    }
-
-    // Create GC leader row with yellow indicator
-    let yellowRow = [];
-    if (gcResults.length > 0) {
-        // Use yellow color blocks to indicate yellow jersey
-        yellowRow = [
-            VESTABOARD_CHARS.YELLOW,
-            VESTABOARD_CHARS.YELLOW,
-            ...textToCharCodes(` GC: ${formatRiderName(gcResults[0].rider)}`),
-        ];
-        // Pad to full width
-        while (yellowRow.length < 22) {
-            yellowRow.push(VESTABOARD_CHARS.BLANK);
-        }
-    } else {
-        yellowRow = formatLine(`GC RESULTS PENDING`, ALIGN.LEFT);
+    if (process.env.CURRENT_YEAR) {
+        console.log(`- Year Override: ${process.env.CURRENT_YEAR}`);
     }
 
-    // Create jersey holders row (limited to what can fit)
-    let jerseysRow = [];
-    if (jerseys && (jerseys.green || jerseys.polkaDot)) {
-        const jerseyTexts = [];
-        if (jerseys.green) {
-            jerseyTexts.push(`G:${formatRiderName(jerseys.green)}`);
-        }
-        if (jerseys.polkaDot) {
-            jerseyTexts.push(`M:${formatRiderName(jerseys.polkaDot)}`);
-        }
-        jerseysRow = formatLine(jerseyTexts.join(' '), ALIGN.LEFT);
-    } else {
-        jerseysRow = formatLine(``, ALIGN.LEFT);
+    if (process.env.DISPLAY_MODE) {
+        console.log(`- Display Mode: ${process.env.DISPLAY_MODE}`);
     }
 
-    // Create timestamp that changes every minute to ensure uniqueness
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    // Create the final character grid (6 rows x 22 columns)
-    const characterGrid = [
-        headerRow,
-        stageRow,
-        secondRiderRow,
-        yellowRow,
-        jerseysRow,
-        formatLine(`UPDATED: ${timestamp}`, ALIGN.RIGHT)
-    ];
-
-    // Ensure all rows are exactly 22 characters long
-    for (let i = 0; i < characterGrid.length; i++) {
-        if (characterGrid[i].length > 22) {
-            characterGrid[i] = characterGrid[i].slice(0, 22);
-        }
-        while (characterGrid[i].length < 22) {
-            characterGrid[i].push(VESTABOARD_CHARS.BLANK);
-        }
+    if (process.env.DISPLAY_MODE === 'rotation') {
+        console.log(`- Playlist: ${getPlaylist().join(', ')}`);
     }
 
-    // Ensure we have exactly 6 rows
-    while (characterGrid.length < 6) {
-        characterGrid.push(Array(22).fill(VESTABOARD_CHARS.BLANK));
-    }
-    if (characterGrid.length > 6) {
-        characterGrid.splice(6); // Truncate to 6 rows
+    if (getWatchedRiders().length > 0) {
+        console.log(`- Watched Riders: ${getWatchedRiders().join(', ')}`);
     }
+    console.log(`- Alert Duration: ${getAlertDuration() / 1000}s`);
 
-    // Validate all character codes are valid numbers between 0-71
-    for (let i = 0; i < characterGrid.length; i++) {
-        for (let j = 0; j < characterGrid[i].length; j++) {
-            const code = characterGrid[i][j];
-            if (typeof code !== 'number' || code < 0 || code > 71) {
-                console.warn(`Invalid character code at position [${i}][${j}]: ${code}, replacing with BLANK`);
-                characterGrid[i][j] = VESTABOARD_CHARS.BLANK;
-            }
-        }
+    if (process.env.LIVE_MODE === 'true') {
+        console.log(`- Live Mode: polling every ${getPollInterval() / 1000}s during the stage`);
     }
-
-    return {
-        characters: characterGrid
-    };
 };
 
-// Updated post to Vestaboard function with correct API format
+// Default board (templates/tour.json): stage top two, GC leader and runner-up, jersey holders
+const formatTourData = (stageResults, gcResults, jerseys, stageNumber, raceId = DEFAULT_RACE) => ({
+    characters: renderView('tour', {
+        race: getRace(raceId),
+        stageNumber,
+        data: { stageResults, gcResults, jerseys }
+    })[0].characters
+});
+
+// Queue a grid for the primary board and wait until it is posted (see lib/queue.js)
+const postToPrimaryBoard = (characters, label, priority = PRIORITY.NORMAL) =>
+    enqueuePost({ characters }, { board: getPrimaryBoard(), label, priority }).delivered;
+
+// Post a formatted message to Vestaboard, returning null instead of throwing on failure.
+// Failed posts are retried by the queue; this gives up once the queue does.
 const postToVestaboard = async (message, isTest = false) => {
     try {
-        // Enforce rate limiting
-        await enforceRateLimit();
-
         console.log(isTest ? 'Testing connection to Vestaboard...' : 'Posting message to Vestaboard...');
 
         // Check if message has characters array
@@ -696,36 +196,12 @@ const postToVestaboard = async (message, isTest = false) => {
         const characters = message.characters;
 
         // Validate the character array format
-        if (!Array.isArray(characters)) {
-            console.error('Characters must be an array');
+        const errors = validateGrid(characters);
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(error));
             return null;
         }
 
-        if (characters.length !== 6) {
-            console.error(`Characters array must have exactly 6 rows, found ${characters.length}`);
-            return null;
-        }
-
-        for (let i = 0; i < characters.length; i++) {
-            if (!Array.isArray(characters[i])) {
-                console.error(`Row ${i} must be an array`);
-                return null;
-            }
-
-            if (characters[i].length !== 22) {
-                console.error(`Row ${i} must have exactly 22 characters, found ${characters[i].length}`);
-                return null;
-            }
-
-            for (let j = 0; j < characters[i].length; j++) {
-                const code = characters[i][j];
-                if (typeof code !== 'number' || code < 0 || code > 71) {
-                    console.error(`Invalid character code at position [${i}][${j}]: ${code}`);
-                    return null;
-                }
-            }
-        }
-
         if (isTest) {
             console.log('Sending test message with character array...');
         } else {
@@ -733,36 +209,24 @@ const postToVestaboard = async (message, isTest = false) => {
             console.log('Message preview (first row):', characters[0]);
         }
 
-        // Send character array directly to API
-        const response = await axios.post(VESTABOARD_API_URL, characters, {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Vestaboard-Read-Write-Key': READ_WRITE_KEY
-            }
-        });
+        // Send character array through the queue
+        const result = await postToPrimaryBoard(characters, isTest ? 'test' : 'update', isTest ? PRIORITY.HIGH : PRIORITY.NORMAL);
 
         console.log(`${isTest ? 'Test' : 'Main'} message posted to Vestaboard successfully!`);
-        return response.data;
+        return result;
 
     } catch (error) {
+        if (error.code === 'REPLACED') {
+            console.log(`${isTest ? 'Test' : 'Main'} message was replaced by a newer post before it was sent`);
+            return null;
+        }
+
         console.error(`Error posting ${isTest ? 'test' : 'main'} message to Vestaboard:`, error.message);
 
         if (error.response) {
             console.error('Response data:', error.response.data);
             console.error('Response status:', error.response.status);
 
-            // Handle 304 (Not Modified) as success for test messages
-            if (error.response.status === 304) {
-                console.log('Message not modified (304) - this means the API is working but content is the same');
-                return { status: 'not_modified', message: 'Content unchanged' };
-            }
-
-            // Handle rate limiting
-            if (error.response.status === 503) {
-                console.error('Rate limited! The API calls are too close together.');
-                return null;
-            }
-
             // If there's a 400 error, try with simple text as a fallback (only for main messages)
             if (error.response.status === 400 && !isTest) {
                 console.error('Character array that caused the error:', JSON.stringify(message.characters, null, 2));
@@ -772,17 +236,9 @@ const postToVestaboard = async (message, isTest = false) => {
                     // Create very simple text message
                     const simpleText = 'TOUR DE FRANCE\nSTAGE RESULTS\n' + new Date().toLocaleTimeString();
 
-                    // Enforce rate limiting for fallback
-                    await enforceRateLimit();
-
-                    const response = await axios.post(VESTABOARD_API_URL, { text: simpleText }, {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-Vestaboard-Read-Write-Key': READ_WRITE_KEY
-                        }
-                    });
+                    const response = await enqueuePost({ text: simpleText }, { label: 'fallback text' }).delivered;
                     console.log('Simple text message posted successfully');
-                    return response.data;
+                    return response;
                 } catch (fallbackError) {
                     console.error('Even simplified text message failed:', fallbackError.message);
                     return null;
@@ -793,36 +249,252 @@ const postToVestaboard = async (message, isTest = false) => {
     }
 };
 
-// Save data to cache
-const saveDataToCache = (data) => {
-    try {
-        fs.writeFileSync(DATA_CACHE_PATH, JSON.stringify(data, null, 2));
-        console.log('Data saved to cache');
-    } catch (error) {
-        console.error('Error saving data to cache:', error.message);
+// Fetch stage, GC and jersey data for a stage from the results provider and store it in the
+// cache and the archive
+const fetchStageData = async (stageNumber, year, raceId = DEFAULT_RACE) => {
+    console.log(`Fetching fresh ${getRace(raceId).name} data...`);
+    const [stageResults, gcResults, jerseys] = await Promise.all([
+        fetchStageResults(stageNumber, year, raceId),
+        fetchGCResults(stageNumber, year, raceId),
+        fetchJerseyHolders(stageNumber, year, raceId)
+    ]);
+
+    const data = {
+        race: raceId,
+        stageNumber,
+        year,
+        stageResults,
+        gcResults,
+        jerseys,
+        timestamp: Date.now()
+    };
+
+    // Stages raced before today are kept longer than the stage in progress, and a fetch missing
+    // the stage or GC results (not raced yet, or a page that failed to load) only briefly
+    const stageInfo = getStageInfo(await getCalendar(year, raceId), stageNumber);
+    const finished = Boolean(stageInfo) && stageInfo.date < toDateKey(new Date());
+    const complete = getFinishers(stageResults || []).length > 0 && getFinishers(gcResults || []).length > 0;
+    let ttl = finished ? FINISHED_STAGE_CACHE_DURATION : CACHE_DURATION;
+    if (!complete) {
+        ttl = Math.min(ttl, EMPTY_RESULTS_CACHE_DURATION);
     }
+    saveDataToCache(data, ttl);
+    archiveStage(data, stageInfo);
+
+    return data;
 };
 
-// Load data from cache
-const loadDataFromCache = () => {
-    try {
-        if (fs.existsSync(DATA_CACHE_PATH)) {
-            const data = fs.readFileSync(DATA_CACHE_PATH, 'utf8');
-            return JSON.parse(data);
+// Get stage, GC and jersey data for a stage, from cache when fresh
+// Shared with server.js so the web panel and the cron job use the same snapshot
+const getStageData = async (stageNumber, year, raceId = DEFAULT_RACE) => {
+    const cachedData = loadDataFromCache(raceId, year, stageNumber);
+    if (cachedData) {
+        console.log('Using cached data');
+        return cachedData;
+    }
+
+    return fetchStageData(stageNumber, year, raceId);
+};
+
+// Fetch a stage again whether or not it is cached, and compare it with the snapshot it replaces
+// (the cache entry, even an expired one, or else the archived stage; see lib/changes.js).
+// Returns { previous, data, changes } where previous is null when the stage was never fetched.
+const refreshStageData = async (stageNumber, year, raceId = DEFAULT_RACE) => {
+    const cached = getCacheEntry(getCacheKey(raceId, year, stageNumber));
+    const previous = cached ? cached.data : loadArchivedStage(raceId, year, stageNumber);
+    const data = await fetchStageData(stageNumber, year, raceId);
+
+    const snapshot = ({ stageResults, gcResults, jerseys }) => ({
+        race: raceId,
+        year,
+        stageNumber,
+        summary: summarizeResults({ stageResults, gcResults, jerseys })
+    });
+
+    return {
+        previous,
+        data,
+        changes: previous ? detectChanges(snapshot(previous), snapshot(data)) : []
+    };
+};
+
+// Board rotation on the primary board. It only runs in the cron worker; the web panel controls it
+// through lib/worker.js. Failed posts are logged and skipped, and any other post replaces a
+// pending rotation board
+const rotation = createRotation({
+    post: (characters, board) => postToPrimaryBoard(characters, `rotation ${board.name}`, PRIORITY.LOW)
+});
+
+// Everything the views need for a stage (see lib/views.js)
+const buildViewContext = async (stageNumber, year, raceId = DEFAULT_RACE) => {
+    const [data, calendar] = await Promise.all([
+        getStageData(stageNumber, year, raceId),
+        getCalendar(year, raceId)
+    ]);
+
+    const stageInfo = getStageInfo(calendar, stageNumber);
+    return {
+        race: getRace(raceId),
+        stageNumber,
+        data,
+        stageInfo,
+        watchlist: loadWatchlist(),
+        previousStage: stageNumber > 1 ? loadArchivedStage(raceId, year, stageNumber - 1) : null,
+        onThisDay: findOnThisDay(raceId, { year, date: stageInfo ? stageInfo.date : null, stageNumber })
+    };
+};
+
+// Fetch past stages straight from the results provider into the archive (see lib/archive.js),
+// one stage at a time. Stages already archived are skipped unless overwrite is set.
+// Returns { archived, skipped, failed: [{ stageNumber, error }] } with stage numbers.
+const importArchive = async (year, raceId = DEFAULT_RACE, stageNumbers = [], { overwrite = false } = {}) => {
+    const calendar = await getCalendar(year, raceId);
+    const summary = { archived: [], skipped: [], failed: [] };
+
+    for (const stageNumber of stageNumbers) {
+        if (!overwrite && loadArchivedStage(raceId, year, stageNumber)) {
+            summary.skipped.push(stageNumber);
+            continue;
+        }
+
+        try {
+            const [stageResults, gcResults, jerseys] = await Promise.all([
+                fetchStageResults(stageNumber, year, raceId),
+                fetchGCResults(stageNumber, year, raceId),
+                fetchJerseyHolders(stageNumber, year, raceId)
+            ]);
+
+            const entry = archiveStage(
+                { race: raceId, year, stageNumber, stageResults, gcResults, jerseys },
+                getStageInfo(calendar, stageNumber)
+            );
+            if (entry) {
+                summary.archived.push(stageNumber);
+            } else {
+                summary.failed.push({ stageNumber, error: 'No finishers in the stage result' });
+            }
+        } catch (error) {
+            console.error(`Error importing ${raceId} ${year} stage ${stageNumber}:`, error.message);
+            summary.failed.push({ stageNumber, error: error.message });
         }
-    } catch (error) {
-        console.error('Error loading data from cache:', error.message);
     }
-    return null;
+
+    return summary;
 };
 
-// Updated updateVestaboard function to handle the new format
+// Render the playlist views for a stage into boards for the rotation
+const buildRotationBoards = async (stageNumber, year, raceId = DEFAULT_RACE, views = getPlaylist()) =>
+    renderViews(views, await buildViewContext(stageNumber, year, raceId));
+
+// Start the rotation, or refresh its boards in place if it is already running or paused
+const startRotation = async (stageNumber, year, raceId = DEFAULT_RACE, views = getPlaylist()) => {
+    const boards = await buildRotationBoards(stageNumber, year, raceId, views);
+
+    if (boards.length === 0) {
+        throw new Error('Playlist rendered no boards');
+    }
+
+    if (rotation.getStatus().state === ROTATION_STATE.STOPPED) {
+        rotation.start(boards);
+    } else {
+        rotation.update(boards);
+    }
+
+    return rotation.getStatus();
+};
+
+// Live in-race board, run by the cron worker; hands back to the regular update once the stage
+// result is published
+const liveTracker = createLiveTracker({
+    fetchLive: ({ stageNumber, year, raceId }) => fetchLiveRace(stageNumber, year, raceId),
+    hasResults: async ({ stageNumber, year, raceId }) =>
+        getFinishers(await fetchStageResults(stageNumber, year, raceId)).length > 0,
+    // Queued without waiting for delivery: the queue retries, and the next poll may replace it
+    post: (live, { stageNumber, raceId }) => {
+        const [board] = renderView('live', { race: getRace(raceId), stageNumber, live });
+        enqueuePost({ characters: board.characters }, { board: getPrimaryBoard(), label: 'live' }).delivered
+            .catch(error => console.error('Live: board not posted:', error.message));
+    },
+    onFinish: async ({ stageNumber, year, raceId }) => {
+        // Anything cached for the stage while it was raced predates the result
+        clearCache({ race: raceId, year, stageNumber });
+        await updateVestaboard();
+    }
+});
+
+// Start live mode if the stage is being raced. Returns true while live mode owns the board.
+const checkLiveRace = async (stageNumber, year, raceId = DEFAULT_RACE) => {
+    if (liveTracker.isRunning()) {
+        return true;
+    }
+
+    const live = await fetchLiveRace(stageNumber, year, raceId);
+    if (!live || live.status !== LIVE_STATUS.LIVE) {
+        return false;
+    }
+
+    console.log(`Stage ${stageNumber} is live (${live.kmToGo} km to go), switching to live mode`);
+    rotation.stop();
+    liveTracker.start({ stageNumber, year, raceId });
+    return true;
+};
+
+// Rotation commands from the web panel, see lib/worker.js
+const WORKER_COMMAND_HANDLERS = {
+    start: ({ race, year, stageNumber, views }) => startRotation(stageNumber, year, race, views),
+    pause: () => rotation.pause(),
+    resume: () => rotation.resume(),
+    stop: () => rotation.stop()
+};
+
+const appliedCommandIds = new Set(); // Every command applied in this run
+let appliedCommands = []; // { id, error } of the latest commands, most recent first
+let applyingCommand = null; // { id, action, startedAt } while a command is being applied
+
+// Tell the web server what the rotation and live mode are doing
+const publishWorkerState = () => saveWorkerState({
+    rotation: rotation.getStatus(),
+    live: liveTracker.getStatus(),
+    applying: applyingCommand,
+    appliedCommands
+});
+
+// Apply the web panel's oldest command not applied yet, if there is one
+const checkWorkerCommand = async (startedAt) => {
+    if (applyingCommand) {
+        return;
+    }
+
+    const command = takeWorkerCommand(id => appliedCommandIds.has(id), startedAt);
+    if (!command) {
+        return;
+    }
+
+    applyingCommand = { id: command.id, action: command.action, startedAt: new Date().toISOString() };
+    publishWorkerState();
+
+    let error = null;
+    try {
+        console.log(`Rotation ${command.action} requested by ${command.requestedBy || 'the web panel'}`);
+        await WORKER_COMMAND_HANDLERS[command.action](command);
+    } catch (commandError) {
+        console.error(`Error applying rotation ${command.action}:`, commandError.message);
+        error = commandError.message;
+    } finally {
+        appliedCommandIds.add(command.id);
+        appliedCommands = [{ id: command.id, error }, ...appliedCommands].slice(0, APPLIED_COMMANDS_KEPT);
+        applyingCommand = null;
+        publishWorkerState();
+    }
+};
+
+// Full update of the primary board: live mode, rotation, or its view when the results change
 const updateVestaboard = async () => {
     try {
         const { year } = getCurrentDate();
 
         // Get current stage
-        const stageNumber = await getCurrentStage();
+        const stageNumber = await getCurrentStage(DEFAULT_RACE);
         if (!stageNumber) {
             console.error('Could not determine the current stage');
             return;
@@ -830,51 +502,83 @@ const updateVestaboard = async () => {
 
         console.log(`Current stage: ${stageNumber}`);
 
-        // Check cache first
-        const cachedData = loadDataFromCache();
-        if (cachedData &&
-            cachedData.stageNumber === stageNumber &&
-            cachedData.year === year &&
-            cachedData.timestamp > Date.now() - CACHE_DURATION) {
-
-            console.log('Using cached data');
-            const formattedMessage = formatTourData(
-                cachedData.stageResults,
-                cachedData.gcResults,
-                cachedData.jerseys,
-                stageNumber
-            );
-            await postToVestaboard(formattedMessage, false);
+        if (process.env.LIVE_MODE === 'true' && await checkLiveRace(stageNumber, year, DEFAULT_RACE)) {
+            console.log('Live mode is showing the race, skipping results update');
             return;
         }
 
-        // Fetch fresh data
-        console.log('Fetching fresh Tour de France data...');
-        const [stageResults, gcResults, jerseys] = await Promise.all([
-            fetchStageResults(stageNumber, year),
-            fetchGCResults(stageNumber, year),
-            fetchJerseyHolders(stageNumber, year)
-        ]);
+        if (process.env.DISPLAY_MODE === 'rotation') {
+            const status = await startRotation(stageNumber, year, DEFAULT_RACE);
+            console.log(`Rotation ${status.state} with ${status.total} boards`);
+            return;
+        }
 
-        // Save to cache
-        saveDataToCache({
-            stageNumber,
+        const context = await buildViewContext(stageNumber, year, DEFAULT_RACE);
+        const { stageResults, gcResults, jerseys } = context.data;
+
+        // Only post when the results differ from what the board last showed
+        const current = {
+            race: DEFAULT_RACE,
             year,
-            stageResults,
-            gcResults,
-            jerseys,
-            timestamp: Date.now()
-        });
+            stageNumber,
+            summary: summarizeResults({ stageResults, gcResults, jerseys })
+        };
+        const lastPosted = loadLastPosted();
+        const changes = detectChanges(lastPosted, current);
+        if (changes.length === 0) {
+            console.log('No result changes since the last post, leaving the board as it is');
+            return;
+        }
+
+        console.log(`Posting because: ${changes.map(change => change.message).join('; ')}`);
+
+        // Big moments interrupt with an alert board first, then the regular board returns
+        const alerts = getAlerts(getRace(DEFAULT_RACE), stageNumber, changes);
+        for (const alert of alerts) {
+            try {
+                await showAlert(alert, { post: characters => postToPrimaryBoard(characters, 'alert', PRIORITY.HIGH) });
+            } catch (error) {
+                console.error('Error showing alert:', error.message);
+                break;
+            }
+        }
 
-        // Format and post to Vestaboard
-        const formattedMessage = formatTourData(stageResults, gcResults, jerseys, stageNumber);
-        await postToVestaboard(formattedMessage, false);
+        // Format and post the primary board's view (the tour board unless boards.json says otherwise)
+        const [formattedMessage] = renderView(getPrimaryBoard().view, context);
+        const result = await postToVestaboard(formattedMessage, false);
+
+        if (result) {
+            // Results missing from this fetch are still on the board; keep them for the next comparison
+            saveLastPosted({ ...current, summary: mergeSummary(lastPosted, current), reasons: changes });
+        }
 
     } catch (error) {
         console.error('Error updating Vestaboard:', error.message);
     }
 };
 
+// Show a secondary board's view for the current stage; skipped when the board already shows it
+const updateBoard = async (board) => {
+    try {
+        const { year } = getCurrentDate();
+        const stageNumber = await getCurrentStage(DEFAULT_RACE);
+        if (!stageNumber) {
+            console.error('Could not determine the current stage');
+            return;
+        }
+
+        const [view] = renderView(board.view, await buildViewContext(stageNumber, year, DEFAULT_RACE));
+        if (isPostedBoard(view.characters, board.name)) {
+            console.log(`Board ${board.name} already shows ${view.name}, not posting`);
+            return;
+        }
+
+        await enqueuePost({ characters: view.characters }, { board, label: view.name }).delivered;
+        console.log(`Posted ${view.name} to board ${board.name}`);
+    } catch (error) {
+        console.error(`Error updating board ${board.name}:`, error.message);
+    }
+};
 
 // Fixed test function with correct API format
 const testVestaboardConnection = async () => {
@@ -889,7 +593,7 @@ const testVestaboardConnection = async () => {
 
         // Create unique test message with timestamp
         const timestamp = new Date().toISOString().slice(11, 19); // HH:MM:SS format
-        const testGrid = Array(6).fill().map(() => Array(22).fill(VESTABOARD_CHARS.BLANK));
+        const testGrid = Array(6).fill().map(() => createFilledRow());
 
         // Add "TEST" to first row
         const testText = `TEST ${timestamp}`;
@@ -938,20 +642,90 @@ const main = async () => {
         console.error('Connection test failed. Continuing anyway...');
     }
 
+    // Send anything still queued from the last run
+    startQueue();
+
+    // Publish the rotation and live status for the web panel and take its rotation commands
+    const startedAt = Date.now();
+    publishWorkerState();
+    setInterval(() => checkWorkerCommand(startedAt), COMMAND_POLL_INTERVAL);
+    setInterval(publishWorkerState, STATE_PUBLISH_INTERVAL);
+
     // Run immediately on startup
     console.log('Running initial update...');
+    const [primary, ...otherBoards] = loadBoards();
     await updateVestaboard();
 
     // Schedule to run every hour (or custom schedule)
-    const schedule = process.env.UPDATE_SCHEDULE || '0 * * * *';
-    cron.schedule(schedule, async () => {
+    cron.schedule(primary.schedule, async () => {
         console.log(`Running scheduled update at ${new Date().toISOString()}...`);
         await updateVestaboard();
     });
 
-    console.log(`Scheduled to update on cron pattern: ${schedule}`);
+    console.log(`Scheduled to update on cron pattern: ${primary.schedule}`);
+
+    // Other boards show their own view on their own schedule
+    for (const board of otherBoards) {
+        await updateBoard(board);
+        cron.schedule(board.schedule, () => updateBoard(board));
+        console.log(`Scheduled board ${board.name} (${board.view}) on cron pattern: ${board.schedule}`);
+    }
+
+    // Look for the stage going live more often than the results schedule runs
+    if (process.env.LIVE_MODE === 'true') {
+        const liveCheckSchedule = process.env.LIVE_CHECK_SCHEDULE || '*/10 * * * *';
+        cron.schedule(liveCheckSchedule, async () => {
+            try {
+                const stageNumber = await getCurrentStage(DEFAULT_RACE);
+                if (stageNumber) {
+                    await checkLiveRace(stageNumber, getCurrentDate().year, DEFAULT_RACE);
+                }
+            } catch (error) {
+                console.error('Error checking for live race:', error.message);
+            }
+        });
+        console.log(`Checking for live racing on cron pattern: ${liveCheckSchedule}`);
+    }
+
+    // Optional quiet hours for the rotation, e.g. pause overnight and resume in the morning
+    if (process.env.ROTATION_PAUSE_SCHEDULE) {
+        cron.schedule(process.env.ROTATION_PAUSE_SCHEDULE, () => {
+            console.log('Pausing rotation');
+            rotation.pause();
+        });
+    }
+
+    if (process.env.ROTATION_RESUME_SCHEDULE) {
+        cron.schedule(process.env.ROTATION_RESUME_SCHEDULE, () => {
+            console.log('Resuming rotation');
+            rotation.resume();
+        });
+    }
     console.log('Integration is running. Press Ctrl+C to stop.');
 };
 
-// Start the application
-main();
\ No newline at end of file
+// Start the application when run directly (server.js requires this module for its data)
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    getCurrentDate,
+    getCurrentStage,
+    fetchStageResults,
+    fetchGCResults,
+    fetchJerseyHolders,
+    fetchLiveRace,
+    getStageData,
+    refreshStageData,
+    formatRiderName,
+    formatTourData,
+    rotation,
+    buildViewContext,
+    buildRotationBoards,
+    startRotation,
+    liveTracker,
+    checkLiveRace,
+    updateBoard,
+    importArchive
+};
\ No newline at end of file
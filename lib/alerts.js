@@ -0,0 +1,128 @@
+﻿// alerts.js - Alert boards for big moments: a new race leader, a watched rider winning, abandons
+//
+// Alerts come from the changes found by lib/changes.js. Each alert is shown as a board
+// framed by colour bars; the bars shift on every post so the board visibly flashes, and
+// the alert holds for ALERT_DURATION before the caller goes back to the regular board.
+const {
+    VESTABOARD_CHARS,
+    BOARD_COLUMNS,
+    RATE_LIMIT_DELAY,
+    formatLine,
+    ensureValidGrid
+} = require('./vestaboard');
+const { CHANGE_TYPES } = require('./changes');
+const { RESULT_STATUS } = require('./results');
+const { formatRiderName } = require('./views');
+const { matchesName, loadWatchlist } = require('./watchlist');
+
+const DEFAULT_ALERT_DURATION = 60000; // 1 minute
+
+const ALERT_TYPES = {
+    NEW_LEADER: 'new-leader',
+    WATCHED_WIN: 'watched-win',
+    ABANDON: 'abandon'
+};
+
+// How long an alert stays up, at least one post
+const getAlertDuration = () => Math.max(
+    parseInt(process.env.ALERT_DURATION || DEFAULT_ALERT_DURATION, 10) || DEFAULT_ALERT_DURATION,
+    RATE_LIMIT_DELAY
+);
+
+// Riders on the watchlist plus WATCHED_RIDERS (comma separated, whole words of the name,
+// e.g. "Pogačar,HEALY Ben")
+const getWatchedRiders = () => [
+    ...(process.env.WATCHED_RIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+    ...loadWatchlist().riders
+];
+
+const isWatchedRider = (rider, watchedRiders) => matchesName(rider, watchedRiders);
+
+// Alerts worth interrupting the board for: [{ type, title, lines, colors }]
+const getAlerts = (race, stageNumber, changes, watchedRiders = getWatchedRiders()) => {
+    const alerts = [];
+
+    changes.forEach((change) => {
+        if (change.type === CHANGE_TYPES.GC_LEADER && change.previousRider) {
+            alerts.push({
+                type: ALERT_TYPES.NEW_LEADER,
+                title: `NEW ${race.jerseys.leader.label} JERSEY`,
+                lines: [formatRiderName(change.rider), '', `FROM ${formatRiderName(change.previousRider)}`],
+                colors: [...race.jerseys.leader.colors, VESTABOARD_CHARS.BLANK]
+            });
+        }
+
+        if (change.type === CHANGE_TYPES.STAGE_WINNER && isWatchedRider(change.rider, watchedRiders)) {
+            alerts.push({
+                type: ALERT_TYPES.WATCHED_WIN,
+                title: `STAGE ${stageNumber} WIN`,
+                lines: ['', formatRiderName(change.rider), ''],
+                colors: [VESTABOARD_CHARS.GREEN, VESTABOARD_CHARS.YELLOW]
+            });
+        }
+    });
+
+    // All abandons in one alert
+    const abandons = changes.filter(change => change.type === CHANGE_TYPES.ABANDON);
+    if (abandons.length > 0) {
+        const names = abandons.slice(0, 3).map(change => `${change.status} ${formatRiderName(change.rider)}`);
+        if (abandons.length > 3) {
+            names[2] = `+${abandons.length - 2} MORE`;
+        }
+
+        alerts.push({
+            type: ALERT_TYPES.ABANDON,
+            title: abandons.length === 1 && abandons[0].status === RESULT_STATUS.DID_NOT_START
+                ? 'NON STARTER'
+                : abandons.length === 1 ? 'ABANDON' : `${abandons.length} ABANDONS`,
+            lines: [...names, '', ''].slice(0, 3),
+            colors: [VESTABOARD_CHARS.RED, VESTABOARD_CHARS.BLACK]
+        });
+    }
+
+    return alerts;
+};
+
+// Row of alternating colour tiles, shifted by `offset`
+const createColorBar = (colors, offset) => Array.from(
+    { length: BOARD_COLUMNS },
+    (tile, i) => colors[(i + offset) % colors.length]
+);
+
+// The alert board in two phases; posting them in turn makes the bars flash
+const createAlertFrames = alert => [0, 1].map(offset => ensureValidGrid([
+    createColorBar(alert.colors, offset),
+    formatLine(alert.title, 'center'),
+    ...alert.lines.map(line => formatLine(line, 'center')),
+    createColorBar(alert.colors, offset + 1)
+]));
+
+// Post an alert's frames in turn for the alert duration. post(characters) is rate limited,
+// so frames change at most every RATE_LIMIT_DELAY.
+const showAlert = async (alert, { post, duration = getAlertDuration() }) => {
+    const frames = createAlertFrames(alert);
+    const startedAt = Date.now();
+    let frame = 0;
+
+    console.log(`Alert: ${alert.title} (${duration / 1000}s)`);
+
+    do {
+        await post(frames[frame % frames.length]);
+        frame++;
+    } while (Date.now() - startedAt + RATE_LIMIT_DELAY < duration);
+
+    const remaining = duration - (Date.now() - startedAt);
+    if (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, remaining));
+    }
+};
+
+module.exports = {
+    ALERT_TYPES,
+    getAlertDuration,
+    getWatchedRiders,
+    isWatchedRider,
+    getAlerts,
+    createAlertFrames,
+    showAlert
+};
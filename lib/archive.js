@@ -0,0 +1,128 @@
+﻿// archive.js - Permanent store of every stage result we have fetched
+//
+// The cache (lib/cache.js) forgets a stage once its entry expires; the archive keeps it, one file
+// per stage at archive/<race>/<year>/stage-<n>.json:
+//   { race, year, stageNumber, stageInfo, archivedAt, stageResults, gcResults, jerseys }
+// stageInfo is the calendar entry (date, start, finish) when there was one. Only stages with
+// finishers are archived, so a fetch made before the finish never replaces a result.
+const fs = require('fs');
+const path = require('path');
+const { getFinishers } = require('./results');
+
+const ARCHIVE_DIR = path.resolve(__dirname, '..', 'archive');
+
+// File of a stage; throws for a race, year or stage that would lead outside ARCHIVE_DIR
+const getStagePath = (race, year, stageNumber) => {
+    const stagePath = path.resolve(ARCHIVE_DIR, String(race), String(year), `stage-${stageNumber}.json`);
+    if (!stagePath.startsWith(ARCHIVE_DIR + path.sep)) {
+        throw new Error(`Invalid archive path for ${race} ${year} stage ${stageNumber}`);
+    }
+    return stagePath;
+};
+
+// Numbered subdirectories or stage files of a directory, or [] when it does not exist
+const readNumbers = (dir, pattern) => (fs.existsSync(dir)
+    ? fs.readdirSync(dir).map(name => (name.match(pattern) || [])[1]).filter(Boolean).map(Number)
+    : []);
+
+// An archived stage, or null when we never fetched it
+const loadArchivedStage = (race, year, stageNumber) => {
+    try {
+        const stagePath = getStagePath(race, year, stageNumber);
+        if (fs.existsSync(stagePath)) {
+            return JSON.parse(fs.readFileSync(stagePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error loading archived ${race} ${year} stage ${stageNumber}:`, error.message);
+    }
+    return null;
+};
+
+// Archive a getStageData() snapshot with its calendar entry; returns the entry, or null when
+// the stage has no finishers yet
+const archiveStage = ({ race, year, stageNumber, stageResults, gcResults, jerseys }, stageInfo = null) => {
+    if (getFinishers(stageResults || []).length === 0) {
+        return null;
+    }
+
+    const entry = {
+        race,
+        year,
+        stageNumber,
+        stageInfo,
+        archivedAt: new Date().toISOString(),
+        stageResults,
+        gcResults,
+        jerseys
+    };
+
+    try {
+        const stagePath = getStagePath(race, year, stageNumber);
+        const tempPath = `${stagePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(stagePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2));
+        fs.renameSync(tempPath, stagePath);
+        console.log(`Archived ${race} ${year} stage ${stageNumber}`);
+    } catch (error) {
+        console.error(`Error archiving ${race} ${year} stage ${stageNumber}:`, error.message);
+    }
+    return entry;
+};
+
+// Short description of an archived stage, without the result tables
+const summarizeArchivedStage = ({ race, year, stageNumber, stageInfo, archivedAt, stageResults, gcResults }) => {
+    const [winner] = getFinishers(stageResults);
+    const [leader] = getFinishers(gcResults || []);
+    return {
+        race,
+        year,
+        stageNumber,
+        date: stageInfo ? stageInfo.date : null,
+        start: stageInfo ? stageInfo.start : null,
+        finish: stageInfo ? stageInfo.finish : null,
+        winner: winner ? winner.rider : null,
+        team: winner ? winner.team : null,
+        gcLeader: leader ? leader.rider : null,
+        archivedAt
+    };
+};
+
+// Archived stages of a race, optionally of one year, oldest first
+const listArchive = (race, year) => {
+    const years = year ? [Number(year)] : readNumbers(path.join(ARCHIVE_DIR, race), /^(\d{4})$/);
+
+    return years.sort((a, b) => a - b).flatMap(archivedYear =>
+        readNumbers(path.join(ARCHIVE_DIR, race, String(archivedYear)), /^stage-(\d+)\.json$/)
+            .sort((a, b) => a - b)
+            .map(stageNumber => loadArchivedStage(race, archivedYear, stageNumber))
+            .filter(Boolean)
+            .map(summarizeArchivedStage));
+};
+
+// The same day in earlier editions, newest first: per year the stage raced on the same month
+// and day as `date` (YYYY-MM-DD), or else the stage with the same number
+const findOnThisDay = (race, { year, date, stageNumber }) => {
+    const monthDay = date ? date.slice(5) : null;
+    const byYear = new Map();
+
+    listArchive(race)
+        .filter(stage => stage.year < year)
+        .forEach((stage) => {
+            const sameDay = Boolean(monthDay) && Boolean(stage.date) && stage.date.slice(5) === monthDay;
+            const current = byYear.get(stage.year);
+            if (sameDay || (!current && stage.stageNumber === stageNumber)) {
+                byYear.set(stage.year, stage);
+            }
+        });
+
+    return [...byYear.values()].sort((a, b) => b.year - a.year);
+};
+
+module.exports = {
+    ARCHIVE_DIR,
+    loadArchivedStage,
+    archiveStage,
+    summarizeArchivedStage,
+    listArchive,
+    findOnThisDay
+};
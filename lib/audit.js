@@ -0,0 +1,100 @@
+﻿// audit.js - Trail of who did what through the web panel and its API
+//
+// One JSON object per line in audit.log, appended and never rewritten:
+//   { at, user, role, action, ...details }
+// e.g. { action: 'post', board, view, status } for a board post or { action: 'login-failed', user }.
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_PATH = path.join(__dirname, '..', 'audit.log');
+
+// Record an action by a user ({ name, role } from lib/auth.js)
+const recordAudit = (user, action, details = {}) => {
+    const entry = {
+        at: new Date().toISOString(),
+        user: user ? user.name : null,
+        role: user ? user.role : null,
+        action,
+        ...details
+    };
+
+    try {
+        fs.appendFileSync(AUDIT_PATH, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        console.error('Error writing audit trail:', error.message);
+    }
+    return entry;
+};
+
+const MAX_AUDIT_ENTRIES = 1000;
+const CHUNK_SIZE = 64 * 1024;
+
+const parseEntry = (line) => {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Audit entries, newest first, optionally only one user's or one action's, at most `limit`
+// (capped at MAX_AUDIT_ENTRIES). The log only grows, so it is read backwards from the end in
+// chunks until enough entries are found instead of being loaded whole.
+const loadAudit = ({ user, action, limit = 100 } = {}) => {
+    const wanted = Math.min(Math.max(limit, 1), MAX_AUDIT_ENTRIES);
+    const entries = [];
+    let fd = null;
+
+    try {
+        if (!fs.existsSync(AUDIT_PATH)) {
+            return [];
+        }
+
+        fd = fs.openSync(AUDIT_PATH, 'r');
+        let position = fs.fstatSync(fd).size;
+        let partial = Buffer.alloc(0); // Start of the oldest line read so far, cut by the chunk
+
+        while (position > 0 && entries.length < wanted) {
+            const size = Math.min(CHUNK_SIZE, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+
+            // Split on bytes so a multi-byte character cut by a chunk boundary stays whole
+            const buffer = Buffer.concat([chunk, partial]);
+            const firstNewline = buffer.indexOf(10);
+            if (firstNewline === -1 && position > 0) {
+                partial = buffer;
+                continue;
+            }
+
+            const complete = position > 0 ? buffer.subarray(firstNewline + 1) : buffer;
+            partial = position > 0 ? buffer.subarray(0, firstNewline) : Buffer.alloc(0);
+
+            const lines = complete.toString('utf8').split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                const entry = parseEntry(line);
+                if (entry && (!user || entry.user === user) && (!action || entry.action === action)) {
+                    entries.push(entry);
+                    if (entries.length === wanted) {
+                        break;
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error loading audit trail:', error.message);
+    } finally {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+    }
+    return entries;
+};
+
+module.exports = {
+    AUDIT_PATH,
+    MAX_AUDIT_ENTRIES,
+    recordAudit,
+    loadAudit
+};
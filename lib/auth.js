@@ -0,0 +1,234 @@
+﻿// auth.js - Users, roles, sessions and API tokens for the web panel and its API
+//
+// Users live in users.json (or USERS_PATH), managed with `npm run users` (see users.js):
+//   [{ name, role, password: "scrypt:<salt>:<hash>", tokens: [{ label, hash, createdAt }] }]
+// Roles build on each other: viewers see status and previews, operators post to the boards,
+// admins change configuration and clear caches. Requests carry "Authorization: Bearer <token>"
+// with either a session token from login() or an API token; API tokens are stored as SHA-256
+// hashes and shown only once. Sessions are kept in memory, so a restart signs everyone out.
+// Sign-ins are limited per client address and per name: after MAX_FAILED_LOGINS failures within
+// LOGIN_LOCKOUT, further attempts are refused until that window has passed.
+// Without a users file authentication is off and every request acts as an admin; a users file that
+// cannot be read turns nobody away silently, it denies every request until it is fixed.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = {
+    VIEWER: 'viewer',
+    OPERATOR: 'operator',
+    ADMIN: 'admin'
+};
+const ROLE_LEVELS = { [ROLES.VIEWER]: 1, [ROLES.OPERATOR]: 2, [ROLES.ADMIN]: 3 };
+
+const DEFAULT_SESSION_DURATION = 12 * 60 * 60 * 1000; // 12 hours
+const KEY_LENGTH = 64; // scrypt key length in bytes
+const HEX = /^(?:[0-9a-f]{2})+$/i;
+const ANONYMOUS_USER = { name: 'anonymous', role: ROLES.ADMIN, via: 'none' };
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000; // 15 minutes
+
+const sessions = new Map(); // Session token -> { name, role, expiresAt }
+const failedLogins = new Map(); // "ip:<address>" or "name:<name>" -> { count, firstAt }
+
+const getUsersPath = () => process.env.USERS_PATH || path.join(__dirname, '..', 'users.json');
+
+const getSessionDuration = () => parseInt(process.env.SESSION_DURATION, 10) || DEFAULT_SESSION_DURATION;
+
+// Users from the users file (read on every call so edits apply without a restart), or [] without one.
+// Throws when the file exists but is not a list of users, so a broken file never opens the panel.
+const loadUsers = () => {
+    const usersPath = getUsersPath();
+    if (!fs.existsSync(usersPath)) {
+        return [];
+    }
+
+    let users;
+    try {
+        users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read users from ${usersPath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(users)) {
+        throw new Error(`Cannot read users from ${usersPath}: expected a list of users`);
+    }
+    return users;
+};
+
+// Write through a temporary file and a rename, so an interrupted save never leaves half a file
+const saveUsers = (users) => {
+    const usersPath = getUsersPath();
+    const tempPath = `${usersPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(users, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, usersPath);
+};
+
+// Authentication is on as soon as there is a users file, even an empty or unreadable one
+const isAuthEnabled = () => fs.existsSync(getUsersPath());
+
+const isRole = role => Object.values(ROLES).includes(role);
+
+// Whether a role includes everything another role may do
+const hasRole = (role, required) => (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[required];
+
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `scrypt:${salt}:${crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    // A missing, short or non-hex hash would compare as empty buffers and accept any password
+    if (scheme !== 'scrypt' || !HEX.test(salt || '') || !HEX.test(hash || '') || hash.length !== KEY_LENGTH * 2) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// New API token for a user, saved as a hash; returns the token, or null for an unknown user
+const createApiToken = (name, label = 'api') => {
+    const users = loadUsers();
+    const user = users.find(candidate => candidate.name === name);
+    if (!user) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    user.tokens = [...(user.tokens || []), { label, hash: hashToken(token), createdAt: new Date().toISOString() }];
+    saveUsers(users);
+    return token;
+};
+
+// Start a session for a name and password; returns { token, name, role, expiresAt } or null
+const login = (name, password) => {
+    const user = loadUsers().find(candidate => candidate.name === name);
+    if (!user || !isRole(user.role) || !verifyPassword(password, user.password)) {
+        return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = { name: user.name, role: user.role, expiresAt: Date.now() + getSessionDuration() };
+    sessions.set(token, session);
+    return { token, ...session };
+};
+
+// What a sign-in attempt counts against: the client's address and the name tried
+const getLoginKeys = (ip, name) => [`ip:${ip}`, ...(name ? [`name:${name}`] : [])];
+
+const isExpiredFailure = entry => entry.firstAt + LOGIN_LOCKOUT <= Date.now();
+
+// Ms until a sign-in from ip as name may be tried again; 0 when it may be tried now
+const getLoginLockout = (ip, name) => Math.max(0, ...getLoginKeys(ip, name).map((key) => {
+    const entry = failedLogins.get(key);
+    return entry && entry.count >= MAX_FAILED_LOGINS && !isExpiredFailure(entry)
+        ? entry.firstAt + LOGIN_LOCKOUT - Date.now()
+        : 0;
+}));
+
+const recordFailedLogin = (ip, name) => {
+    failedLogins.forEach((entry, key) => {
+        if (isExpiredFailure(entry)) {
+            failedLogins.delete(key);
+        }
+    });
+
+    getLoginKeys(ip, name).forEach((key) => {
+        const entry = failedLogins.get(key) || { count: 0, firstAt: Date.now() };
+        failedLogins.set(key, { ...entry, count: entry.count + 1 });
+    });
+};
+
+const clearFailedLogins = (ip, name) => {
+    getLoginKeys(ip, name).forEach(key => failedLogins.delete(key));
+};
+
+const logout = (token) => {
+    sessions.delete(token);
+};
+
+// The user behind a session or API token: { name, role, via }, or null. Roles are read from the
+// users file each time, so a changed role or a removed user applies straight away.
+const authenticate = (token) => {
+    if (!token) {
+        return null;
+    }
+
+    const users = loadUsers();
+    const session = sessions.get(token);
+    if (session) {
+        const user = users.find(candidate => candidate.name === session.name);
+        if (session.expiresAt > Date.now() && user && isRole(user.role)) {
+            return { name: user.name, role: user.role, via: 'session' };
+        }
+        sessions.delete(token);
+        return null;
+    }
+
+    const hash = hashToken(token);
+    const user = users.find(candidate => isRole(candidate.role) &&
+        (candidate.tokens || []).some(entry => entry.hash === hash));
+    return user ? { name: user.name, role: user.role, via: 'token' } : null;
+};
+
+const getRequestToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+};
+
+// The user making a request, or null; everyone is ANONYMOUS_USER while authentication is off
+const getRequestUser = (req) => {
+    if (!isAuthEnabled()) {
+        return ANONYMOUS_USER;
+    }
+    return authenticate(getRequestToken(req));
+};
+
+// Express middleware: 401 without a valid token, 403 when the user's role is below `role`, 503
+// while the users file cannot be read. Sets req.user for the route and the audit trail.
+const requireRole = role => (req, res, next) => {
+    let user;
+    try {
+        user = req.user || getRequestUser(req);
+    } catch (error) {
+        console.error(error.message);
+        return res.status(503).json({ error: 'Sign-in is unavailable: the users file cannot be read' });
+    }
+
+    if (!user) {
+        return res.status(401).json({ error: 'Please sign in' });
+    }
+
+    if (!hasRole(user.role, role)) {
+        return res.status(403).json({ error: `This needs the ${role} role (signed in as ${user.name}, ${user.role})` });
+    }
+
+    req.user = user;
+    next();
+};
+
+module.exports = {
+    ROLES,
+    getUsersPath,
+    loadUsers,
+    saveUsers,
+    isAuthEnabled,
+    isRole,
+    hasRole,
+    hashPassword,
+    createApiToken,
+    login,
+    getLoginLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    logout,
+    authenticate,
+    getRequestToken,
+    getRequestUser,
+    requireRole
+};
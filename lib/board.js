@@ -0,0 +1,76 @@
+﻿// board.js - What is on each Vestaboard: the last board we posted and the last one read back
+//
+// Both are kept per board (see lib/boards.js) in board-state.json, so after a restart we can
+// still tell whether someone else has changed a board and put ours back:
+//   { [boardName]: { posted: { characters | text, postedAt }, current: { id, characters, text, colors, readAt, ours } } }
+// The cron worker and the web server both save board states: saves hold board-state.json.lock
+// (see lib/lock.js) and write through a temporary file and a rename.
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./lock');
+
+const BOARD_STATE_PATH = path.join(__dirname, '..', 'board-state.json');
+const DEFAULT_BOARD = 'default';
+
+const loadAllBoardStates = () => {
+    try {
+        if (fs.existsSync(BOARD_STATE_PATH)) {
+            return JSON.parse(fs.readFileSync(BOARD_STATE_PATH, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Error loading board state:', error.message);
+    }
+    return {};
+};
+
+const loadBoardState = (name = DEFAULT_BOARD) => ({ posted: null, current: null, ...loadAllBoardStates()[name] });
+
+const saveBoardState = (name, state) => {
+    try {
+        withFileLock(BOARD_STATE_PATH, () => {
+            const tempPath = `${BOARD_STATE_PATH}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ ...loadAllBoardStates(), [name]: state }, null, 2));
+            fs.renameSync(tempPath, BOARD_STATE_PATH);
+        });
+    } catch (error) {
+        console.error('Error saving board state:', error.message);
+    }
+};
+
+const sameGrid = (a, b) => Array.isArray(a) && Array.isArray(b) && JSON.stringify(a) === JSON.stringify(b);
+
+// Remember a board we posted: { characters } for a grid, { text } for a text message
+const recordPostedBoard = (message, name = DEFAULT_BOARD) => {
+    const state = loadBoardState(name);
+    saveBoardState(name, { ...state, posted: { ...message, postedAt: new Date().toISOString() } });
+};
+
+// Remember a board read back from the Vestaboard; ours is false when it differs from our last
+// grid post (text posts are laid out by the API, so they cannot be compared)
+const recordReadBoard = (board, name = DEFAULT_BOARD) => {
+    const state = loadBoardState(name);
+    const posted = state.posted;
+    const current = {
+        ...board,
+        readAt: new Date().toISOString(),
+        ours: posted && posted.characters ? sameGrid(posted.characters, board.characters) : null
+    };
+
+    saveBoardState(name, { ...state, current });
+    return current;
+};
+
+// Whether a grid is what we last posted to the board, so posting it again can be skipped
+const isPostedBoard = (characters, name = DEFAULT_BOARD) => {
+    const { posted } = loadBoardState(name);
+    return Boolean(posted) && sameGrid(posted.characters, characters);
+};
+
+module.exports = {
+    BOARD_STATE_PATH,
+    DEFAULT_BOARD,
+    loadBoardState,
+    recordPostedBoard,
+    recordReadBoard,
+    isPostedBoard
+};
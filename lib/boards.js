@@ -0,0 +1,127 @@
+﻿// boards.js - Board registry: which Vestaboards we post to, how, and what each one shows
+//
+// Boards come from boards.json (BOARDS_PATH for another file), e.g.
+//   [
+//     { "name": "lobby", "transport": "cloud", "readWriteKey": "$LOBBY_RW_KEY", "view": "tour" },
+//     { "name": "cafe", "transport": "local", "localApiUrl": "http://192.168.1.50:7000",
+//       "localApiKey": "$CAFE_LOCAL_KEY", "view": "stage", "schedule": "*/30 * * * *" }
+//   ]
+// Settings starting with $ are read from the environment. Without the file there is one board,
+// "default", set up from VESTABOARD_TRANSPORT and its environment variables.
+//
+// The first board is the primary one: it gets the cron worker's full update (change detection,
+// alerts, rotation, live mode). The others show their own view on their own schedule.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_BOARD } = require('./board');
+const { TRANSPORTS, getTransportName, getTransport } = require('./transports');
+
+const DEFAULT_VIEW = 'tour';
+
+// boards.json is read on every lookup; each problem with it is only logged once
+const reportedErrors = new Set();
+const reportError = (message) => {
+    if (!reportedErrors.has(message)) {
+        reportedErrors.add(message);
+        console.error(message);
+    }
+};
+
+const getBoardsPath = () => process.env.BOARDS_PATH || path.join(__dirname, '..', 'boards.json');
+
+const getDefaultSchedule = () => process.env.UPDATE_SCHEDULE || '0 * * * *';
+
+// "$NAME" -> process.env.NAME
+const resolveSetting = value => (typeof value === 'string' && value.startsWith('$') ? process.env[value.slice(1)] : value);
+
+// Board from the environment when there is no boards.json
+const createDefaultBoard = () => {
+    const transport = getTransportName();
+    const settings = TRANSPORTS[transport] ? TRANSPORTS[transport].settings : {};
+
+    return {
+        name: DEFAULT_BOARD,
+        transport,
+        view: DEFAULT_VIEW,
+        schedule: getDefaultSchedule(),
+        ...Object.fromEntries(Object.entries(settings).map(([option, variable]) => [option, process.env[variable]]))
+    };
+};
+
+// Fill in defaults and resolve settings; throws when the board cannot be used
+const normalizeBoard = (entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error(`Board ${index + 1} needs a name`);
+    }
+
+    const board = Object.fromEntries(Object.entries(entry).map(([key, value]) => [key, resolveSetting(value)]));
+    board.name = board.name.trim();
+    board.transport = board.transport || 'cloud';
+    board.view = board.view || DEFAULT_VIEW;
+    board.schedule = board.schedule || getDefaultSchedule();
+
+    const missing = Object.keys(getTransport(board.transport).settings).filter(option => !board[option]);
+    if (missing.length > 0) {
+        throw new Error(`Board "${board.name}" is missing ${missing.join(', ')} for the ${board.transport} transport`);
+    }
+    return board;
+};
+
+// Every usable board, primary first; boards with errors are logged and left out
+const loadBoards = () => {
+    const boardsPath = getBoardsPath();
+    if (!fs.existsSync(boardsPath)) {
+        return [createDefaultBoard()];
+    }
+
+    try {
+        const entries = JSON.parse(fs.readFileSync(boardsPath, 'utf8'));
+        const boards = [];
+
+        (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+            try {
+                const board = normalizeBoard(entry, index);
+                if (boards.some(existing => existing.name === board.name)) {
+                    throw new Error(`Board "${board.name}" is listed twice`);
+                }
+                boards.push(board);
+            } catch (error) {
+                reportError(`Error in ${boardsPath}: ${error.message}`);
+            }
+        });
+
+        if (boards.length > 0) {
+            return boards;
+        }
+        reportError(`No usable boards in ${boardsPath}, using the environment`);
+    } catch (error) {
+        reportError(`Error loading ${boardsPath}: ${error.message}`);
+    }
+    return [createDefaultBoard()];
+};
+
+const getPrimaryBoard = () => loadBoards()[0];
+
+// Board by name (the primary board when no name is given), or null when there is none
+const getBoard = (name) => {
+    const boards = loadBoards();
+    return name ? boards.find(board => board.name === name) || null : boards[0];
+};
+
+// What the API and panel show about a board: no keys or secrets
+const describeBoard = (board, index) => ({
+    name: board.name,
+    transport: board.transport,
+    view: board.view,
+    schedule: board.schedule,
+    primary: index === 0
+});
+
+module.exports = {
+    DEFAULT_VIEW,
+    getBoardsPath,
+    loadBoards,
+    getPrimaryBoard,
+    getBoard,
+    describeBoard
+};
@@ -0,0 +1,130 @@
+﻿// cache.js - Stage data cache shared by the cron worker and the web server
+//
+// cache.json keeps one entry per race, year and stage, so the two processes no longer overwrite
+// each other's snapshot:
+//   { version: CACHE_VERSION, entries: { "race/year/stage": { race, year, stageNumber, savedAt, expiresAt, data } } }
+// Every entry carries its own expiry, set from the TTL it was saved with. A file written with a
+// different version (or the old single-snapshot format) is ignored and replaced on the next save.
+// Saves hold cache.json.lock (see lib/lock.js) while they re-read the file, change it and write
+// it back, so an entry saved by the other process is kept. The file is written through a
+// temporary file and a rename, so a crash never leaves half a file behind.
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./lock');
+
+const DATA_CACHE_PATH = path.join(__dirname, '..', 'cache.json');
+const CACHE_VERSION = 2;
+const CACHE_DURATION = parseInt(process.env.CACHE_DURATION || '3600000', 10); // Default: 1 hour
+// Results of stages already raced only change with corrections
+const FINISHED_STAGE_CACHE_DURATION = parseInt(process.env.FINISHED_STAGE_CACHE_DURATION || '86400000', 10); // Default: 1 day
+// Providers return empty lists when a page fails to load, so a fetch without results is retried soon
+const EMPTY_RESULTS_CACHE_DURATION = parseInt(process.env.EMPTY_RESULTS_CACHE_DURATION || '300000', 10); // Default: 5 minutes
+
+const emptyCache = () => ({ version: CACHE_VERSION, entries: {} });
+
+// Entry key, e.g. "tour-de-france/2025/6"
+const getCacheKey = (race, year, stageNumber) => `${race}/${year}/${stageNumber}`;
+
+const isFresh = entry => Date.parse(entry.expiresAt) > Date.now();
+
+// The whole store; empty when the file is missing, unreadable or from another version
+const loadCache = () => {
+    try {
+        if (fs.existsSync(DATA_CACHE_PATH)) {
+            const cache = JSON.parse(fs.readFileSync(DATA_CACHE_PATH, 'utf8'));
+            if (cache.version === CACHE_VERSION && cache.entries) {
+                return cache;
+            }
+            console.log(`Ignoring cache.json written with cache version ${cache.version || 1}`);
+        }
+    } catch (error) {
+        console.error('Error loading data from cache:', error.message);
+    }
+    return emptyCache();
+};
+
+// Apply change(entries) to the store on disk under the lock, dropping expired entries, and return
+// what change returns
+const updateCache = change => withFileLock(DATA_CACHE_PATH, () => {
+    const cache = loadCache();
+    const result = change(cache.entries);
+
+    Object.keys(cache.entries)
+        .filter(key => !isFresh(cache.entries[key]))
+        .forEach((key) => { delete cache.entries[key]; });
+
+    try {
+        const tempPath = `${DATA_CACHE_PATH}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(cache, null, 2));
+        fs.renameSync(tempPath, DATA_CACHE_PATH);
+    } catch (error) {
+        console.error('Error saving data to cache:', error.message);
+    }
+    return result;
+});
+
+// One entry with its data, fresh or not, or null
+const getCacheEntry = key => loadCache().entries[key] || null;
+
+// Cached data for a stage while its entry is fresh, otherwise null
+const loadDataFromCache = (race, year, stageNumber) => {
+    const entry = getCacheEntry(getCacheKey(race, year, stageNumber));
+    return entry && isFresh(entry) ? entry.data : null;
+};
+
+// Cache stage data ({ race, year, stageNumber, ... }) for ttl ms
+const saveDataToCache = (data, ttl = CACHE_DURATION) => {
+    const savedAt = Date.now();
+    const entry = {
+        race: data.race,
+        year: data.year,
+        stageNumber: data.stageNumber,
+        savedAt: new Date(savedAt).toISOString(),
+        expiresAt: new Date(savedAt + ttl).toISOString(),
+        data
+    };
+
+    updateCache((entries) => {
+        entries[getCacheKey(data.race, data.year, data.stageNumber)] = entry;
+    });
+    console.log(`Data saved to cache for ${Math.round(ttl / 60000)} minutes`);
+    return entry;
+};
+
+// Entries without their data, newest first, for inspection
+const listCacheEntries = () => Object.entries(loadCache().entries)
+    .map(([key, { data, ...entry }]) => ({ key, ...entry, fresh: isFresh(entry) }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+// Drop the entries matching { race, year, stageNumber } (any left out match everything);
+// returns the keys removed
+const clearCache = (filter = {}) => {
+    const matches = entry => ['race', 'year', 'stageNumber']
+        .every(field => filter[field] === undefined || String(entry[field]) === String(filter[field]));
+
+    const removed = updateCache((entries) => {
+        const keys = Object.keys(entries).filter(key => matches(entries[key]));
+        keys.forEach((key) => { delete entries[key]; });
+        return keys;
+    });
+
+    if (removed.length > 0) {
+        console.log(`Cache cleared: ${removed.join(', ')}`);
+    }
+    return removed;
+};
+
+module.exports = {
+    DATA_CACHE_PATH,
+    CACHE_VERSION,
+    CACHE_DURATION,
+    FINISHED_STAGE_CACHE_DURATION,
+    EMPTY_RESULTS_CACHE_DURATION,
+    getCacheKey,
+    loadCache,
+    getCacheEntry,
+    loadDataFromCache,
+    saveDataToCache,
+    listCacheEntries,
+    clearCache
+};
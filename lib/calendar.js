@@ -0,0 +1,152 @@
+﻿// calendar.js - Per-year race calendars (stage dates, towns, distances, rest days)
+//
+// Calendars live in calendars/<race>-<year>.json. When a year has no local file,
+// one is built by the results provider (e.g. from the PCS race page) and saved there for next time.
+// A year the provider has no calendar for is not asked for again for CALENDAR_MISS_DURATION.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RACE } = require('./races');
+const { getProvider } = require('./providers');
+
+const CALENDAR_DIR = path.join(__dirname, '..', 'calendars');
+const CALENDAR_MISS_DURATION = parseInt(process.env.CALENDAR_MISS_DURATION || '600000', 10); // Default: 10 minutes
+
+const misses = new Map(); // "race/year" -> when to ask the provider again
+
+// Stage resolution states
+const RACE_STATUS = {
+    PRE_RACE: 'pre-race',
+    STAGE_DAY: 'stage-day',
+    REST_DAY: 'rest-day',
+    FINISHED: 'finished'
+};
+
+// Local date as YYYY-MM-DD (calendar dates are local to the race, not UTC)
+const toDateKey = (date) => [
+    date.getFullYear(),
+    (date.getMonth() + 1).toString().padStart(2, '0'),
+    date.getDate().toString().padStart(2, '0')
+].join('-');
+
+const getCalendarPath = (year, raceId) => path.join(CALENDAR_DIR, `${raceId}-${year}.json`);
+
+// Load a calendar from disk, or null when there is none for that race and year
+const loadCalendar = (year, raceId = DEFAULT_RACE) => {
+    try {
+        const calendarPath = getCalendarPath(year, raceId);
+        if (fs.existsSync(calendarPath)) {
+            return JSON.parse(fs.readFileSync(calendarPath, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error loading ${raceId} calendar for ${year}:`, error.message);
+    }
+    return null;
+};
+
+const saveCalendar = (calendar) => {
+    try {
+        fs.mkdirSync(CALENDAR_DIR, { recursive: true });
+        fs.writeFileSync(getCalendarPath(calendar.year, calendar.race), JSON.stringify(calendar, null, 2));
+        console.log(`Calendar for ${calendar.race} ${calendar.year} saved`);
+    } catch (error) {
+        console.error(`Error saving calendar for ${calendar.race} ${calendar.year}:`, error.message);
+    }
+};
+
+// Days between the first and last stage without a stage are rest days
+const findRestDays = (stages) => {
+    const stageDates = new Set(stages.map(stage => stage.date));
+    const restDays = [];
+
+    if (stages.length < 2) {
+        return restDays;
+    }
+
+    const [startYear, startMonth, startDay] = stages[0].date.split('-').map(Number);
+    const day = new Date(startYear, startMonth - 1, startDay);
+    const lastDate = stages[stages.length - 1].date;
+
+    while (toDateKey(day) < lastDate) {
+        day.setDate(day.getDate() + 1);
+        if (!stageDates.has(toDateKey(day))) {
+            restDays.push(toDateKey(day));
+        }
+    }
+
+    return restDays;
+};
+
+// Local calendar first, then build one from the results provider and keep it
+const getCalendar = async (year, raceId = DEFAULT_RACE) => {
+    const calendar = loadCalendar(year, raceId);
+    if (calendar) {
+        return calendar;
+    }
+
+    const missKey = `${raceId}/${year}`;
+    if (misses.get(missKey) > Date.now()) {
+        return null;
+    }
+
+    const fetchedCalendar = await getProvider().fetchCalendar(year, raceId);
+    if (!fetchedCalendar) {
+        misses.set(missKey, Date.now() + CALENDAR_MISS_DURATION);
+        return null;
+    }
+
+    const fullCalendar = {
+        ...fetchedCalendar,
+        restDays: fetchedCalendar.restDays || findRestDays(fetchedCalendar.stages)
+    };
+    saveCalendar(fullCalendar);
+    return fullCalendar;
+};
+
+// Work out which stage the board should show on a given date:
+// today's stage, else the last stage raced (rest days, after Paris), else stage 1
+const resolveStage = (calendar, date = new Date()) => {
+    if (!calendar || !calendar.stages || calendar.stages.length === 0) {
+        return null;
+    }
+
+    const today = toDateKey(date);
+    const stages = [...calendar.stages].sort((a, b) => a.date.localeCompare(b.date));
+
+    const todaysStage = stages.find(stage => stage.date === today);
+    if (todaysStage) {
+        return { stageNumber: todaysStage.stage, stage: todaysStage, status: RACE_STATUS.STAGE_DAY };
+    }
+
+    const pastStages = stages.filter(stage => stage.date < today);
+    if (pastStages.length === 0) {
+        return { stageNumber: stages[0].stage, stage: stages[0], status: RACE_STATUS.PRE_RACE };
+    }
+
+    // A day between stages is a rest day even if the calendar doesn't list it
+    const lastStage = pastStages[pastStages.length - 1];
+    const isFinished = lastStage === stages[stages.length - 1];
+
+    return {
+        stageNumber: lastStage.stage,
+        stage: lastStage,
+        status: isFinished ? RACE_STATUS.FINISHED : RACE_STATUS.REST_DAY
+    };
+};
+
+// Calendar entry for a stage number
+const getStageInfo = (calendar, stageNumber) => {
+    if (!calendar || !calendar.stages) {
+        return null;
+    }
+    return calendar.stages.find(stage => stage.stage === stageNumber) || null;
+};
+
+module.exports = {
+    RACE_STATUS,
+    toDateKey,
+    loadCalendar,
+    saveCalendar,
+    getCalendar,
+    resolveStage,
+    getStageInfo
+};
@@ -0,0 +1,170 @@
+﻿// changes.js - Decide whether new results are worth posting, and remember what was shown
+//
+// Results are reduced to a small summary (stage podium, GC top three, jersey holders, abandons)
+// and compared with the summary of the last board posted. Only meaningful differences produce
+// a reason to post; the reasons are stored alongside the summary in last-posted.json.
+// An empty classification is missing data (providers return [] when a page fails to load),
+// never a change from a classification we already have.
+const fs = require('fs');
+const path = require('path');
+const { getFinishers, getAbandons } = require('./results');
+
+const LAST_POSTED_PATH = path.join(__dirname, '..', 'last-posted.json');
+const HISTORY_LENGTH = 20; // Posts kept in last-posted.json
+
+const CHANGE_TYPES = {
+    FIRST_POST: 'first-post',
+    NEW_STAGE: 'new-stage',
+    STAGE_WINNER: 'stage-winner',
+    STAGE_PODIUM: 'stage-podium',
+    GC_LEADER: 'gc-leader',
+    GC_PODIUM: 'gc-podium',
+    JERSEY: 'jersey',
+    ABANDON: 'abandon'
+};
+
+const riderNames = (results, count) => getFinishers(results || []).slice(0, count).map(result => result.rider);
+
+// The parts of a stage snapshot the board depends on
+const summarizeResults = ({ stageResults, gcResults, jerseys }) => ({
+    stagePodium: riderNames(stageResults, 3),
+    gcPodium: riderNames(gcResults, 3),
+    jerseys: Object.entries(jerseys || {}).reduce((holders, [key, classification]) => ({
+        ...holders,
+        [key]: classification ? classification.holder : null
+    }), {}),
+    abandons: getAbandons(stageResults || []).map(result => ({ rider: result.rider, team: result.team, status: result.status }))
+});
+
+const samePodium = (a, b) => a.length === b.length && a.every((rider, i) => rider === b[i]);
+
+const isSameEdition = (previous, current) => previous && previous.race === current.race && previous.year === current.year;
+
+// What the board showed before, as far as it carries over to the current stage: GC and jerseys
+// carry over to the next stage; the stage result starts empty
+const getCarriedSummary = (previous, current) => (previous.stageNumber !== current.stageNumber
+    ? { ...previous.summary, stagePodium: [], abandons: [] }
+    : previous.summary);
+
+// The current summary with anything missing from this fetch taken from the previous entry, which
+// is what the board shows after posting and what saveLastPosted should record
+const mergeSummary = (previous, current) => {
+    if (!isSameEdition(previous, current)) {
+        return current.summary;
+    }
+
+    const before = getCarriedSummary(previous, current);
+    const hasStageResults = current.summary.stagePodium.length > 0;
+    return {
+        ...current.summary,
+        stagePodium: hasStageResults ? current.summary.stagePodium : before.stagePodium,
+        gcPodium: current.summary.gcPodium.length > 0 ? current.summary.gcPodium : before.gcPodium,
+        jerseys: {
+            ...before.jerseys,
+            ...Object.fromEntries(Object.entries(current.summary.jerseys).filter(([, holder]) => holder))
+        },
+        abandons: hasStageResults ? current.summary.abandons : before.abandons || []
+    };
+};
+
+// Reasons to post the current summary given the last posted entry:
+// [{ type, message, rider?, ... }] - empty when nothing worth showing changed or the current
+// summary lacks the results the previous one had
+const detectChanges = (previous, current) => {
+    if (!previous) {
+        return [{ type: CHANGE_TYPES.FIRST_POST, message: 'Nothing posted yet' }];
+    }
+
+    if (!isSameEdition(previous, current)) {
+        return [{ type: CHANGE_TYPES.FIRST_POST, message: `Now showing ${current.race} ${current.year}` }];
+    }
+
+    const changes = [];
+    if (previous.stageNumber !== current.stageNumber) {
+        changes.push({ type: CHANGE_TYPES.NEW_STAGE, message: `Now showing stage ${current.stageNumber}` });
+    }
+
+    // A classification missing from this fetch compares as unchanged
+    const before = getCarriedSummary(previous, current);
+    const after = mergeSummary(previous, current);
+
+    if (after.stagePodium[0] && after.stagePodium[0] !== before.stagePodium[0]) {
+        changes.push({ type: CHANGE_TYPES.STAGE_WINNER, rider: after.stagePodium[0], message: `Stage winner: ${after.stagePodium[0]}` });
+    } else if (!samePodium(before.stagePodium, after.stagePodium)) {
+        changes.push({ type: CHANGE_TYPES.STAGE_PODIUM, message: `Stage podium: ${after.stagePodium.join(', ')}` });
+    }
+
+    if (after.gcPodium[0] && after.gcPodium[0] !== before.gcPodium[0]) {
+        const from = before.gcPodium[0] ? `${before.gcPodium[0]} → ` : '';
+        changes.push({
+            type: CHANGE_TYPES.GC_LEADER,
+            rider: after.gcPodium[0],
+            previousRider: before.gcPodium[0] || null,
+            message: `GC leader: ${from}${after.gcPodium[0]}`
+        });
+    } else if (!samePodium(before.gcPodium, after.gcPodium)) {
+        changes.push({ type: CHANGE_TYPES.GC_PODIUM, message: `GC podium: ${after.gcPodium.join(', ')}` });
+    }
+
+    Object.entries(after.jerseys).forEach(([key, holder]) => {
+        const previousHolder = before.jerseys[key];
+        if (holder && holder !== previousHolder) {
+            const from = previousHolder ? `${previousHolder} → ` : '';
+            changes.push({ type: CHANGE_TYPES.JERSEY, jersey: key, message: `${key} jersey: ${from}${holder}` });
+        }
+    });
+
+    const knownAbandons = (before.abandons || []).map(abandon => abandon.rider);
+    (after.abandons || [])
+        .filter(abandon => !knownAbandons.includes(abandon.rider))
+        .forEach((abandon) => {
+            changes.push({
+                type: CHANGE_TYPES.ABANDON,
+                rider: abandon.rider,
+                team: abandon.team,
+                status: abandon.status,
+                message: `${abandon.status}: ${abandon.rider}`
+            });
+        });
+
+    return changes;
+};
+
+// Posting history, newest first: [{ race, year, stageNumber, summary, reasons, postedAt }]
+const loadPostHistory = () => {
+    try {
+        if (fs.existsSync(LAST_POSTED_PATH)) {
+            return JSON.parse(fs.readFileSync(LAST_POSTED_PATH, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Error loading last posted board:', error.message);
+    }
+    return [];
+};
+
+// Most recent post, or null when nothing has been posted
+const loadLastPosted = () => loadPostHistory()[0] || null;
+
+// Record a post and why it was made; written through a temporary file and a rename, so the web
+// server never reads half a file
+const saveLastPosted = (entry) => {
+    try {
+        const history = [{ ...entry, postedAt: new Date().toISOString() }, ...loadPostHistory()].slice(0, HISTORY_LENGTH);
+        const tempPath = `${LAST_POSTED_PATH}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(history, null, 2));
+        fs.renameSync(tempPath, LAST_POSTED_PATH);
+    } catch (error) {
+        console.error('Error saving last posted board:', error.message);
+    }
+};
+
+module.exports = {
+    LAST_POSTED_PATH,
+    CHANGE_TYPES,
+    summarizeResults,
+    mergeSummary,
+    detectChanges,
+    loadPostHistory,
+    loadLastPosted,
+    saveLastPosted
+};
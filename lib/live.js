@@ -0,0 +1,178 @@
+﻿// live.js - Live in-race model and the polling loop that keeps the board on it
+//
+// Providers return live snapshots in this shape (see parseLiveRace):
+//   {
+//     status: 'not-started' | 'live' | 'finished',
+//     kmToGo: 42.5,
+//     breakaway: { riders: ['POGAČAR Tadej', ...], gap: 200 },  // gap to the peloton in seconds
+//     sprints: [{ name: 'Sprint Vire', km: 150.2, winner: 'PHILIPSEN Jasper' }],
+//     climbs: [{ name: 'Côte de ...', category: '3', km: 120, winner: 'HEALY Ben' }],
+//     updatedAt: '2025-07-10T14:05:00Z'
+//   }
+const { RATE_LIMIT_DELAY } = require('./vestaboard');
+const { parseTime } = require('./results');
+
+const LIVE_STATUS = {
+    NOT_STARTED: 'not-started',
+    LIVE: 'live',
+    FINISHED: 'finished'
+};
+
+const DEFAULT_POLL_INTERVAL = 180000; // 3 minutes
+
+// Poll interval from LIVE_POLL_INTERVAL, never shorter than the API rate limit
+const getPollInterval = (interval = parseInt(process.env.LIVE_POLL_INTERVAL || DEFAULT_POLL_INTERVAL, 10)) =>
+    Math.max(interval || DEFAULT_POLL_INTERVAL, RATE_LIMIT_DELAY);
+
+// Seconds from a number or a "3:20" / "+3:20" string
+const toSeconds = (value) => {
+    if (typeof value === 'number') {
+        return value;
+    }
+    return parseTime(value) || 0;
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Normalise a raw live snapshot (feed JSON or parsed page) into the shape above
+const parseLiveRace = (raw) => {
+    if (!raw) {
+        return null;
+    }
+
+    const kmToGo = toNumber(raw.kmToGo);
+    // Without a status, only a distance to go says the race is on
+    let status = LIVE_STATUS.NOT_STARTED;
+    if (Object.values(LIVE_STATUS).includes(raw.status)) {
+        status = raw.status;
+    } else if (kmToGo !== null) {
+        status = kmToGo === 0 ? LIVE_STATUS.FINISHED : LIVE_STATUS.LIVE;
+    }
+    const breakaway = raw.breakaway && (raw.breakaway.riders || []).length > 0
+        ? { riders: raw.breakaway.riders, gap: toSeconds(raw.breakaway.gap) }
+        : null;
+    const passages = (list) => (list || []).map(item => ({
+        name: item.name || '',
+        category: item.category || null,
+        km: toNumber(item.km),
+        winner: item.winner || null
+    }));
+
+    return {
+        status,
+        kmToGo,
+        breakaway,
+        sprints: passages(raw.sprints),
+        climbs: passages(raw.climbs),
+        updatedAt: raw.updatedAt || null
+    };
+};
+
+// Most recent contested sprint/climb, or null before the first one
+const getLatestPassage = (passages) => [...(passages || [])].reverse().find(passage => passage.winner) || null;
+
+// Whether two snapshots would show the same board; updatedAt alone changes on every fetch
+const isSameSnapshot = (a, b) => Boolean(a && b) &&
+    JSON.stringify({ ...a, updatedAt: null }) === JSON.stringify({ ...b, updatedAt: null });
+
+// Create a live tracker. While running it polls fetchLive(target) every `interval` ms and
+// posts each snapshot that differs from the last one posted with post(snapshot, target), which
+// should queue the board rather than wait for its delivery, so a failing post does not hold up
+// the polling. Once the snapshot reports the finish and hasResults(target) confirms the result
+// table is in, it stops and calls onFinish(target).
+const createLiveTracker = ({ fetchLive, hasResults, post, onFinish, interval = getPollInterval() }) => {
+    let target = null;
+    let timer = null;
+    let running = false;
+    let generation = 0; // bumped on start/stop so a stale poll does not reschedule itself
+    let lastSnapshot = null;
+    let lastPosted = null; // Snapshot of the board last posted
+    let lastPoll = null;
+
+    const clearTimer = () => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    const stop = () => {
+        clearTimer();
+        generation++;
+        running = false;
+    };
+
+    const poll = async (runGeneration) => {
+        timer = null;
+        if (!running || runGeneration !== generation) {
+            return;
+        }
+
+        try {
+            const snapshot = await fetchLive(target);
+            lastPoll = Date.now();
+
+            if (snapshot) {
+                lastSnapshot = snapshot;
+
+                if (snapshot.status === LIVE_STATUS.FINISHED && await hasResults(target)) {
+                    console.log(`Live: stage ${target.stageNumber} finished, switching back to results`);
+                    const finishedTarget = target;
+                    stop();
+                    await onFinish(finishedTarget);
+                    return;
+                }
+
+                if (runGeneration === generation && !isSameSnapshot(snapshot, lastPosted)) {
+                    await post(snapshot, target);
+                    lastPosted = snapshot;
+                }
+            } else {
+                console.log('Live: no live data available');
+            }
+        } catch (error) {
+            console.error('Live: error polling race:', error.message);
+        }
+
+        if (running && runGeneration === generation) {
+            timer = setTimeout(() => poll(runGeneration), interval);
+        }
+    };
+
+    // Start polling { stageNumber, year, raceId }; restarting replaces the target
+    const start = (newTarget) => {
+        clearTimer();
+        generation++;
+        target = newTarget;
+        running = true;
+        lastSnapshot = null;
+        lastPosted = null;
+        poll(generation);
+    };
+
+    const getStatus = () => ({
+        running,
+        interval,
+        target,
+        lastPoll,
+        snapshot: lastSnapshot
+    });
+
+    return {
+        start,
+        stop,
+        isRunning: () => running,
+        getStatus
+    };
+};
+
+module.exports = {
+    LIVE_STATUS,
+    getPollInterval,
+    parseLiveRace,
+    getLatestPassage,
+    createLiveTracker
+};
@@ -0,0 +1,54 @@
+﻿// lock.js - Lock files for the JSON files the cron worker and the web server both change
+//
+// withFileLock(filePath, fn) runs fn while holding `${filePath}.lock`, which only one process can
+// create. Callers re-read the file, change it and write it back inside fn, so neither process
+// loses the other's changes. A lock older than LOCK_STALE_AFTER was left by a process that died
+// holding it and is broken.
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_STALE_AFTER = 10000;
+const LOCK_RETRY_DELAY = 10;
+
+const sleepSync = ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Run fn holding the lock on filePath and return what fn returns
+const withFileLock = (filePath, fn) => {
+    const lockPath = `${filePath}.lock`;
+
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+
+            let age;
+            try {
+                age = Date.now() - fs.statSync(lockPath).mtimeMs;
+            } catch (statError) {
+                continue; // Released in the meantime
+            }
+
+            if (age > LOCK_STALE_AFTER) {
+                console.error(`Breaking a lock on ${path.basename(filePath)} held for ${Math.round(age / 1000)} seconds`);
+                fs.rmSync(lockPath, { force: true });
+            } else {
+                sleepSync(LOCK_RETRY_DELAY);
+            }
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+};
+
+module.exports = {
+    LOCK_STALE_AFTER,
+    withFileLock
+};
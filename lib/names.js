@@ -0,0 +1,88 @@
+﻿// names.js - Shorten rider names to fit the space left on a board row
+//
+// Surnames keep their particles ("VAN DER POEL", "DE LIE") and are only shortened when the
+// row is too narrow, in steps: drop the second part of a compound surname ("SKJELMOSE
+// JORGENSEN" -> "SKJELMOSE"), abbreviate particles ("VD POEL"), use the main word alone,
+// and finally cut it. Riders sharing a surname get their first initial ("A.YATES").
+const { BOARD_COLUMNS } = require('./vestaboard');
+const { SURNAME_PARTICLES, splitRiderName } = require('./results');
+const { normalizeName } = require('./watchlist');
+
+const isParticle = word => SURNAME_PARTICLES.includes(word.toLowerCase());
+
+// Ways to write a surname, longest and most complete first
+const getSurnameVariants = (lastName) => {
+    const words = lastName.toUpperCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return [];
+    }
+
+    let mainIndex = words.findIndex(word => !isParticle(word));
+    if (mainIndex === -1) {
+        mainIndex = words.length - 1;
+    }
+
+    const particles = words.slice(0, mainIndex);
+    const main = words[mainIndex];
+    const variants = [
+        words.join(' '),
+        [...particles, main].join(' ')
+    ];
+
+    if (particles.length > 0) {
+        variants.push(`${particles.map(particle => particle[0]).join('')} ${main}`);
+    }
+
+    variants.push(main);
+    if (main.includes('-')) {
+        variants.push(main.split('-')[0]);
+    }
+
+    return variants.filter((variant, i) => variants.indexOf(variant) === i);
+};
+
+/**
+ * Shorten a rider's name to at most maxLength characters.
+ * @param {string} name - "SURNAME Firstname" (PCS) or "Firstname Surname"
+ * @param {number} [maxLength=BOARD_COLUMNS]
+ * @param {{ initial?: boolean }} [options] - Prefix the first initial, e.g. "A.YATES"
+ * @returns {string}
+ */
+const shortenName = (name, maxLength = BOARD_COLUMNS, { initial = false } = {}) => {
+    const { firstName, lastName } = splitRiderName(name);
+    const variants = getSurnameVariants(lastName);
+    if (variants.length === 0 || maxLength <= 0) {
+        return '';
+    }
+
+    const prefix = initial && firstName ? `${firstName[0].toUpperCase()}.` : '';
+    const candidates = prefix
+        ? [...variants.map(variant => `${prefix}${variant}`), ...variants]
+        : variants;
+
+    const fitting = candidates.find(candidate => candidate.length <= maxLength);
+    return fitting || variants[variants.length - 1].slice(0, maxLength);
+};
+
+/**
+ * Name formatter for a set of riders: adds initials where surnames collide.
+ * @param {string[]} names - Every rider that may appear, e.g. the stage and GC results
+ * @returns {(name: string, maxLength?: number) => string}
+ */
+const createNameFormatter = (names) => {
+    const surnameCounts = new Map();
+    new Set(names.filter(Boolean)).forEach((name) => {
+        const surname = normalizeName(splitRiderName(name).lastName);
+        surnameCounts.set(surname, (surnameCounts.get(surname) || 0) + 1);
+    });
+
+    return (name, maxLength = BOARD_COLUMNS) => shortenName(name, maxLength, {
+        initial: (surnameCounts.get(normalizeName(splitRiderName(name).lastName)) || 0) > 1
+    });
+};
+
+module.exports = {
+    getSurnameVariants,
+    shortenName,
+    createNameFormatter
+};
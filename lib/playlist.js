@@ -0,0 +1,140 @@
+﻿// playlist.js - Rotate a sequence of boards on the Vestaboard with a dwell timer
+//
+// A playlist is a list of view names from lib/views.js (each view may expand to several
+// pages). A rotation posts the rendered boards one after another, waiting `dwell` ms
+// between posts, and loops until it is paused or stopped.
+const { RATE_LIMIT_DELAY } = require('./vestaboard');
+
+const DEFAULT_PLAYLIST = ['title', 'stage-top', 'gc-top', 'jersey-boards'];
+const DEFAULT_DWELL = 30000; // 30 seconds per board
+
+const ROTATION_STATE = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    STOPPED: 'stopped'
+};
+
+// View names from PLAYLIST (comma separated), or the default sequence
+const getPlaylist = () => (process.env.PLAYLIST
+    ? process.env.PLAYLIST.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PLAYLIST);
+
+// Dwell from ROTATION_DWELL, never shorter than the API rate limit
+const getDwell = (dwell = parseInt(process.env.ROTATION_DWELL || DEFAULT_DWELL, 10)) =>
+    Math.max(dwell || DEFAULT_DWELL, RATE_LIMIT_DELAY);
+
+// Create a rotation that posts boards with post(characters, board).
+// Post failures are logged and the rotation moves on to the next board.
+const createRotation = ({ post, dwell = getDwell(), loop = true }) => {
+    let boards = [];
+    let index = 0;
+    let state = ROTATION_STATE.STOPPED;
+    let timer = null;
+    let generation = 0; // bumped on start/stop so stale timers and posts bail out
+    let lastPosted = null;
+
+    const clearTimer = () => {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+
+    const showNext = async (runGeneration) => {
+        timer = null;
+        if (state !== ROTATION_STATE.RUNNING || runGeneration !== generation || boards.length === 0) {
+            return;
+        }
+
+        if (index >= boards.length) {
+            if (!loop) {
+                stop();
+                return;
+            }
+            index = 0;
+        }
+
+        const board = boards[index];
+        index++;
+
+        try {
+            console.log(`Rotation: showing ${board.name} (${index}/${boards.length})`);
+            await post(board.characters, board);
+            lastPosted = { name: board.name, timestamp: Date.now() };
+        } catch (error) {
+            console.error(`Rotation: error posting ${board.name}:`, error.message);
+        }
+
+        if (state === ROTATION_STATE.RUNNING && runGeneration === generation) {
+            timer = setTimeout(() => showNext(runGeneration), dwell);
+        }
+    };
+
+    // Start (or restart) from the first board
+    const start = (newBoards) => {
+        clearTimer();
+        generation++;
+        boards = newBoards;
+        index = 0;
+        state = ROTATION_STATE.RUNNING;
+        showNext(generation);
+    };
+
+    // Swap in fresh boards without restarting the sequence or changing the state
+    const update = (newBoards) => {
+        boards = newBoards;
+        if (index >= boards.length) {
+            index = 0;
+        }
+    };
+
+    const pause = () => {
+        if (state !== ROTATION_STATE.RUNNING) {
+            return;
+        }
+        clearTimer();
+        state = ROTATION_STATE.PAUSED;
+    };
+
+    const resume = () => {
+        if (state !== ROTATION_STATE.PAUSED) {
+            return;
+        }
+        generation++;
+        state = ROTATION_STATE.RUNNING;
+        showNext(generation);
+    };
+
+    function stop() {
+        clearTimer();
+        generation++;
+        state = ROTATION_STATE.STOPPED;
+        index = 0;
+    }
+
+    const getStatus = () => ({
+        state,
+        dwell,
+        position: index,
+        total: boards.length,
+        boards: boards.map(board => board.name),
+        lastPosted
+    });
+
+    return {
+        start,
+        update,
+        pause,
+        resume,
+        stop,
+        getStatus
+    };
+};
+
+module.exports = {
+    DEFAULT_PLAYLIST,
+    ROTATION_STATE,
+    getPlaylist,
+    getDwell,
+    createRotation
+};
@@ -0,0 +1,94 @@
+﻿// fixtures.js - Offline results provider reading saved pages from disk
+//
+// Files live under FIXTURES_DIR (default: fixtures/) at the same paths as the PCS pages,
+// e.g. tour-de-france/2025/stage-6.html and tour-de-france/2025/stage-6-gc.html.
+// A .json file next to a page takes precedence and is returned as-is (already parsed).
+// Live fixtures (stage-6/live.json) may be a recording, { snapshots: [...] }, replayed one
+// snapshot per poll and holding on the last one.
+const fs = require('fs');
+const path = require('path');
+const { EMPTY_JERSEYS, createProvider, getPagePaths } = require('./pcs');
+const { parseLiveRace } = require('../live');
+
+const getFixturesDir = () => process.env.FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures');
+
+// Saved HTML page, run through the PCS parsers
+const loadPage = async (pagePath) => {
+    const filePath = path.join(getFixturesDir(), `${pagePath}.html`);
+    console.log(`Reading fixture ${filePath}...`);
+    return fs.promises.readFile(filePath, 'utf8');
+};
+
+// Pre-parsed JSON fixture for a page, or undefined when there is none; throws when it is malformed
+const loadJSON = (pagePath) => {
+    const filePath = path.join(getFixturesDir(), `${pagePath}.json`);
+    if (!fs.existsSync(filePath)) {
+        return undefined;
+    }
+    console.log(`Reading fixture ${filePath}...`);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+};
+
+// A broken JSON fixture is logged and answered with `fallback`, as the HTML path does for a page
+const withFallback = async (description, fallback, fetch) => {
+    try {
+        return await fetch();
+    } catch (error) {
+        console.error(`Error fetching ${description}:`, error.message);
+        return fallback;
+    }
+};
+
+const htmlProvider = createProvider('fixtures', loadPage);
+
+// Replay position per recorded live fixture
+const replayPositions = new Map();
+
+// JSON stage fixtures can hold { stageResults, jerseys } to skip the classification pages
+const provider = {
+    ...htmlProvider,
+
+    fetchStageResults: (stageNumber, year, raceId) => withFallback(`stage ${stageNumber} results`, [], () => {
+        const data = loadJSON(getPagePaths(stageNumber, year, raceId).stage);
+        return data ? data.stageResults || [] : htmlProvider.fetchStageResults(stageNumber, year, raceId);
+    }),
+
+    fetchGCResults: (stageNumber, year, raceId) => withFallback(`GC results after stage ${stageNumber}`, [], () => {
+        const data = loadJSON(getPagePaths(stageNumber, year, raceId).gc);
+        return data ? data.gcResults || [] : htmlProvider.fetchGCResults(stageNumber, year, raceId);
+    }),
+
+    fetchJerseyHolders: (stageNumber, year, raceId) => withFallback(`jersey holders after stage ${stageNumber}`, { ...EMPTY_JERSEYS }, () => {
+        const data = loadJSON(getPagePaths(stageNumber, year, raceId).stage);
+        return data && data.jerseys ? data.jerseys : htmlProvider.fetchJerseyHolders(stageNumber, year, raceId);
+    }),
+
+    fetchLiveRace: (stageNumber, year, raceId) => withFallback(`live data for stage ${stageNumber}`, null, () => {
+        const pagePath = getPagePaths(stageNumber, year, raceId).live;
+        const data = loadJSON(pagePath);
+        if (!data) {
+            return htmlProvider.fetchLiveRace(stageNumber, year, raceId);
+        }
+        if (!Array.isArray(data.snapshots)) {
+            return parseLiveRace(data);
+        }
+
+        const position = replayPositions.get(pagePath) || 0;
+        replayPositions.set(pagePath, Math.min(position + 1, data.snapshots.length - 1));
+        return parseLiveRace(data.snapshots[position]);
+    }),
+
+    fetchCalendar: (year, raceId) => withFallback(`calendar for ${year}`, null, () => {
+        const data = loadJSON(getPagePaths(null, year, raceId).calendar);
+        return data || htmlProvider.fetchCalendar(year, raceId);
+    })
+};
+
+module.exports = {
+    getFixturesDir,
+    provider
+};
@@ -0,0 +1,32 @@
+﻿// providers/index.js - Results provider selection (RESULTS_PROVIDER=pcs|fixtures)
+//
+// Every provider implements:
+//   fetchStageResults(stageNumber, year, raceId) -> full stage classification (see lib/results.js)
+//   fetchGCResults(stageNumber, year, raceId)    -> full GC, gap = seconds behind the leader
+//   fetchJerseyHolders(stageNumber, year, raceId) -> { leader, points, mountains, youth, team }
+//       each { holder, team, value, runnerUp: { holder, team, value } } or null
+//   fetchLiveRace(stageNumber, year, raceId)     -> live snapshot (see lib/live.js) or null
+//   fetchCalendar(year, raceId)                  -> { race, year, name, stages } or null
+const pcs = require('./pcs');
+const fixtures = require('./fixtures');
+
+const PROVIDERS = {
+    pcs: pcs.provider,
+    fixtures: fixtures.provider
+};
+
+const getProviderName = () => process.env.RESULTS_PROVIDER || 'pcs';
+
+// Provider selected by RESULTS_PROVIDER
+const getProvider = (name = getProviderName()) => {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown results provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return PROVIDERS[name];
+};
+
+module.exports = {
+    PROVIDERS,
+    getProviderName,
+    getProvider
+};
@@ -0,0 +1,307 @@
+﻿// pcs.js - procyclingstats.com results provider
+//
+// Parsing is kept separate from fetching so the fixture provider can run the same
+// parsers over saved pages. Page paths mirror PCS URLs: <pcsSlug>/<year>/stage-<n>[-gc|-points|...].
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getRace } = require('../races');
+const { buildResults } = require('../results');
+const { LIVE_STATUS, parseLiveRace } = require('../live');
+
+const PCS_BASE_URL = 'https://www.procyclingstats.com/race';
+
+const EMPTY_JERSEYS = {
+    leader: null,    // GC leader
+    points: null,    // Points classification
+    mountains: null, // Mountains classification
+    youth: null,     // Young rider classification
+    team: null       // Team classification
+};
+
+// PCS page suffix for each classification after a stage
+const CLASSIFICATION_PAGES = {
+    leader: 'gc',
+    points: 'points',
+    mountains: 'kom',
+    youth: 'youth',
+    team: 'teams'
+};
+
+// Page paths relative to PCS_BASE_URL
+const getPagePaths = (stageNumber, year, raceId) => {
+    const racePath = `${getRace(raceId).pcsSlug}/${year}`;
+    const paths = {
+        calendar: racePath,
+        stage: `${racePath}/stage-${stageNumber}`,
+        live: `${racePath}/stage-${stageNumber}/live`
+    };
+
+    Object.entries(CLASSIFICATION_PAGES).forEach(([key, suffix]) => {
+        paths[key] = `${racePath}/stage-${stageNumber}-${suffix}`;
+    });
+    paths.gc = paths.leader;
+
+    return paths;
+};
+
+// Every row of a results table, as raw cell text for lib/results.js
+const parseResultRows = (html) => {
+    const $ = cheerio.load(html);
+    const rows = [];
+
+    $('table.results tbody tr').each((i, element) => {
+        const riderName = $(element).find('td.name a').text().trim();
+        if (!riderName) {
+            return;
+        }
+
+        const flag = $(element).find('td.name span.flag').attr('class') || '';
+
+        rows.push({
+            positionText: $(element).find('td').eq(0).text().trim(),
+            rider: riderName,
+            nationality: flag.replace('flag', '').trim() || null,
+            bib: $(element).find('td.bibs').text().trim(),
+            team: $(element).find('td a.team').text().trim(),
+            timeText: $(element).find('td.time').text().trim(),
+            bonusText: $(element).find('td.bonis').text().trim()
+        });
+    });
+
+    return rows;
+};
+
+// Full stage classification, including riders who abandoned
+const parseStageResults = (html) => buildResults(parseResultRows(html));
+
+// Full GC after the stage; gap is the time behind the leader
+const parseGCResults = (html) => buildResults(parseResultRows(html));
+
+// Top two of a classification page: { holder, team, value, runnerUp: { holder, team, value } }.
+// For the team classification holder is the team name. value is points or time as shown.
+const parseClassification = (html) => {
+    const $ = cheerio.load(html);
+    const entries = [];
+
+    $('table.results tbody tr').slice(0, 2).each((i, element) => {
+        const riderName = $(element).find('td.name a').text().trim();
+        const teamName = $(element).find('td a.team').first().text().trim();
+        const points = $(element).find('td.pnt').text().trim();
+        const time = $(element).find('td.time').text().trim();
+
+        if (riderName || teamName) {
+            entries.push({
+                holder: riderName || teamName,
+                team: teamName,
+                value: points || time
+            });
+        }
+    });
+
+    if (entries.length === 0) {
+        return null;
+    }
+
+    return {
+        ...entries[0],
+        runnerUp: entries[1] || null
+    };
+};
+
+// Live snapshot from the stage's live page (see lib/live.js for the shape).
+// While racing the page shows "<n> km to go" above the race situation, one list item per
+// group with its riders and gap; passed sprints and climbs are listed with their first rider.
+const parseLivePage = (html) => {
+    const $ = cheerio.load(html);
+    const pageText = $('body').text();
+    const kmMatch = pageText.match(/(\d+(?:[.,]\d+)?)\s*km to go/i);
+
+    const groups = [];
+    $('ul.situation li').each((i, element) => {
+        const riders = $(element).find('a[href*="rider/"]').map((j, rider) => $(rider).text().trim()).get();
+        if (riders.length > 0) {
+            groups.push({ riders, gap: $(element).find('.gap').text().trim() });
+        }
+    });
+
+    const passages = (selector) => $(selector).map((i, element) => ({
+        name: $(element).find('.name').text().trim(),
+        category: $(element).find('.cat').text().trim() || null,
+        km: $(element).find('.km').text().trim(),
+        winner: $(element).find('a[href*="rider/"]').first().text().trim() || null
+    })).get();
+
+    let status = LIVE_STATUS.NOT_STARTED;
+    if (kmMatch) {
+        status = LIVE_STATUS.LIVE;
+    } else if (/\bfinished\b/i.test(pageText)) {
+        status = LIVE_STATUS.FINISHED;
+    }
+
+    // The peloton is the biggest group; a breakaway is a smaller group ahead of it
+    const peloton = groups.reduce((biggest, group) => (!biggest || group.riders.length > biggest.riders.length ? group : biggest), null);
+    const breakaway = groups.length > 1 && groups[0] !== peloton ? groups[0] : null;
+
+    return parseLiveRace({
+        status,
+        kmToGo: kmMatch ? kmMatch[1].replace(',', '.') : null,
+        breakaway: breakaway ? { riders: breakaway.riders, gap: peloton.gap.replace(/^\+/, '') } : null,
+        sprints: passages('ul.sprints li'),
+        climbs: passages('ul.climbs li'),
+        updatedAt: new Date().toISOString()
+    });
+};
+
+// Stage type from the PCS profile icon: p1 flat, p2-p3 hills, p4-p5 mountains
+const PROFILE_TYPES = {
+    p1: 'flat',
+    p2: 'hilly',
+    p3: 'hilly',
+    p4: 'mountain',
+    p5: 'mountain'
+};
+
+// Stage list from the race page. Rest days are filled in by lib/calendar.js.
+// The distance comes from the km column and the type from the profile icon, with ITT/TTT from
+// the stage title; either is null when the page does not show it.
+const parseCalendar = (html, year, raceId) => {
+    const $ = cheerio.load(html);
+    const race = getRace(raceId);
+    const stages = [];
+
+    // Rows look like: 05/07 | Sat | Stage 1 | Lille Métropole - Lille Métropole | winner
+    $('table tbody tr').each((i, row) => {
+        const cells = $(row).find('td');
+        const rowText = $(row).text().trim();
+
+        const stageMatch = rowText.match(/Stage\s+(\d+)/i);
+        const dateMatch = $(cells).first().text().trim().match(/(\d+)\/(\d+)/);
+        if (!stageMatch || !dateMatch) {
+            return;
+        }
+
+        // In Europe, dates are day/month, so 05/07 means July 5th, not May 7th
+        const day = dateMatch[1].padStart(2, '0');
+        const month = dateMatch[2].padStart(2, '0');
+        const stageNumber = parseInt(stageMatch[1], 10);
+
+        const title = $(row).find('a').first().text().trim();
+        const route = title.includes('|') ? title.split('|').pop() : title.replace(/Stage\s+\d+/i, '');
+        const [start, finish] = route.replace(/\(.*?\)/g, '').split(' - ').map(town => town && town.trim());
+        const typeMatch = title.match(/\((ITT|TTT)\)/i);
+        const profile = ($(row).find('.icon.profile').attr('class') || '').split(/\s+/).find(name => PROFILE_TYPES[name]);
+        const distanceCell = cells.toArray().slice(1)
+            .map(cell => $(cell).text().trim().match(/^(\d+(?:[.,]\d+)?)\s*(?:km|k)?$/i))
+            .find(Boolean);
+
+        if (stages.some(stage => stage.stage === stageNumber)) {
+            return;
+        }
+
+        stages.push({
+            stage: stageNumber,
+            date: `${year}-${month}-${day}`,
+            start: start || null,
+            finish: finish || start || null,
+            distance: distanceCell ? parseFloat(distanceCell[1].replace(',', '.')) : null,
+            type: typeMatch ? typeMatch[1].toLowerCase() : PROFILE_TYPES[profile] || null
+        });
+    });
+
+    if (stages.length === 0) {
+        return null;
+    }
+
+    stages.sort((a, b) => a.stage - b.stage);
+
+    return {
+        race: race.id,
+        year,
+        name: race.name,
+        stages
+    };
+};
+
+// Build a provider from a page loader: loadPage(pagePath) resolves to the page HTML.
+// Failures are logged and turned into empty results, like the original scrapers.
+const createProvider = (name, loadPage) => ({
+    name,
+
+    fetchStageResults: async (stageNumber, year, raceId) => {
+        try {
+            return parseStageResults(await loadPage(getPagePaths(stageNumber, year, raceId).stage));
+        } catch (error) {
+            console.error(`Error fetching stage ${stageNumber} results:`, error.message);
+            return [];
+        }
+    },
+
+    fetchGCResults: async (stageNumber, year, raceId) => {
+        try {
+            return parseGCResults(await loadPage(getPagePaths(stageNumber, year, raceId).gc));
+        } catch (error) {
+            console.error(`Error fetching GC results after stage ${stageNumber}:`, error.message);
+            return [];
+        }
+    },
+
+    // One page per classification; a missing page leaves that jersey null
+    fetchJerseyHolders: async (stageNumber, year, raceId) => {
+        const pagePaths = getPagePaths(stageNumber, year, raceId);
+        const jerseys = { ...EMPTY_JERSEYS };
+
+        await Promise.all(Object.keys(CLASSIFICATION_PAGES).map(async (key) => {
+            try {
+                jerseys[key] = parseClassification(await loadPage(pagePaths[key]));
+            } catch (error) {
+                console.error(`Error fetching ${key} classification after stage ${stageNumber}:`, error.message);
+            }
+        }));
+
+        return jerseys;
+    },
+
+    fetchLiveRace: async (stageNumber, year, raceId) => {
+        try {
+            return parseLivePage(await loadPage(getPagePaths(stageNumber, year, raceId).live));
+        } catch (error) {
+            console.error(`Error fetching live data for stage ${stageNumber}:`, error.message);
+            return null;
+        }
+    },
+
+    fetchCalendar: async (year, raceId) => {
+        try {
+            const calendar = parseCalendar(await loadPage(getPagePaths(null, year, raceId).calendar), year, raceId);
+            if (!calendar) {
+                console.log('No stages found on race page');
+            }
+            return calendar;
+        } catch (error) {
+            console.error(`Error fetching ${getRace(raceId).name} calendar for ${year}:`, error.message);
+            return null;
+        }
+    }
+});
+
+// Live pages from procyclingstats.com
+const fetchPage = async (pagePath) => {
+    const url = `${PCS_BASE_URL}/${pagePath}`;
+    console.log(`Fetching ${url}...`);
+    const response = await axios.get(url);
+    return response.data;
+};
+
+module.exports = {
+    EMPTY_JERSEYS,
+    CLASSIFICATION_PAGES,
+    getPagePaths,
+    parseResultRows,
+    parseStageResults,
+    parseGCResults,
+    parseClassification,
+    parseLivePage,
+    parseCalendar,
+    createProvider,
+    provider: createProvider('pcs', fetchPage)
+};
@@ -0,0 +1,488 @@
+﻿// queue.js - Durable queue of outbound board posts with retry, backoff and dead letters
+//
+// Posts are queued in queue.json rather than sent straight away, so a post that hits a 503 or a
+// network error is retried with exponential backoff instead of being lost until the next
+// update, and posts still pending when the process stops are sent after a restart. Each board
+// is drained on its own: the highest priority post that is due goes out as soon as the board's
+// rate limit allows (see lib/vestaboard.js). A newer post for a board replaces its pending posts
+// of the same or lower priority, so a backlog never replays stale boards. A post that fails
+// QUEUE_MAX_ATTEMPTS times, or is rejected with a 400, moves to the dead letters.
+//   { drainer, lastPosts: { board: time }, pending: [entry], dead: [entry], outcomes: [outcome] }
+//   entry: { id, board, priority, label, requestedBy, message: { characters } | { text },
+//            attempts, createdAt, nextAttemptAt, lastError, owner, sendingAt, deadAt }
+//   outcome: { id, status, at, entry, result?, error? } for posts that were sent or replaced
+//
+// The cron worker and the web server share the file. Every read-modify-write holds
+// queue.json.lock (see lib/lock.js), so neither loses the other's changes. Only one process, the
+// drainer, sends posts: all boards, whoever queued them, so the rate limit and coalescing hold
+// across both.
+// When the drainer stops, the next process to look takes over. A process waiting on a post the
+// drainer sends polls the file for its entry's outcome.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { RATE_LIMIT_DELAY, validateGrid, getRateLimitWait, postToVestaboard, postTextToVestaboard } = require('./vestaboard');
+const { getBoard, getPrimaryBoard } = require('./boards');
+const { withFileLock } = require('./lock');
+
+const QUEUE_PATH = path.join(__dirname, '..', 'queue.json');
+const POLL_INTERVAL = 1000; // How often the queue is checked for other processes' work
+const OUTCOMES_KEPT = 100;
+const OUTCOME_TTL = 10 * 60 * 1000; // 10 minutes
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 30000; // 30 seconds, doubled after every failed attempt
+const MAX_RETRY_DELAY = 15 * 60 * 1000; // 15 minutes
+const DEAD_LETTERS_KEPT = 50;
+
+// Higher priorities go first; a post only replaces pending posts of the same or lower priority
+const PRIORITY = {
+    LOW: 0, // Rotation boards
+    NORMAL: 1, // Scheduled updates and live boards
+    HIGH: 2 // Alerts and posts from the web panel
+};
+
+// Outcome of an attempt, see enqueuePost
+const POST_OUTCOME = {
+    POSTED: 'posted',
+    QUEUED: 'queued', // Failed, retried later
+    DEAD: 'dead',
+    REPLACED: 'replaced'
+};
+
+const waiters = new Map(); // Entry id -> promise callbacks, for posts queued by this process
+const timers = new Map(); // Board name -> pending drain timer
+const sending = new Set(); // Board names with a post in flight
+let pollTimer = null;
+
+const getMaxAttempts = () => parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+// Backoff before the next attempt: QUEUE_RETRY_DELAY doubled for every failure so far
+const getRetryDelay = (attempts) => {
+    const base = parseInt(process.env.QUEUE_RETRY_DELAY, 10) || DEFAULT_RETRY_DELAY;
+    return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+};
+
+// Pending posts, dead letters, recent outcomes and which process sends them
+const loadQueue = () => {
+    try {
+        if (fs.existsSync(QUEUE_PATH)) {
+            const queue = JSON.parse(fs.readFileSync(QUEUE_PATH, 'utf8'));
+            return {
+                drainer: queue.drainer || null,
+                lastPosts: queue.lastPosts || {},
+                pending: queue.pending || [],
+                dead: queue.dead || [],
+                outcomes: queue.outcomes || []
+            };
+        }
+    } catch (error) {
+        console.error('Error loading post queue:', error.message);
+    }
+    return { drainer: null, lastPosts: {}, pending: [], dead: [], outcomes: [] };
+};
+
+// Write through a temporary file so a crash never leaves half a queue behind
+const saveQueue = (queue) => {
+    try {
+        const tempPath = `${QUEUE_PATH}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(queue, null, 2));
+        fs.renameSync(tempPath, QUEUE_PATH);
+    } catch (error) {
+        console.error('Error saving post queue:', error.message);
+    }
+};
+
+// Apply change(queue) to the queue on disk under the lock, returning what change returns
+const updateQueue = change => withFileLock(QUEUE_PATH, () => {
+    const queue = loadQueue();
+    const result = change(queue);
+
+    const oldest = Date.now() - OUTCOME_TTL;
+    queue.outcomes = queue.outcomes.filter(outcome => Date.parse(outcome.at) > oldest).slice(0, OUTCOMES_KEPT);
+    saveQueue(queue);
+    return result;
+});
+
+// An entry without its board grid, for outcomes and logs
+const describeEntry = ({ message, ...entry }) => entry;
+
+// Remember what became of a post that left the queue, for the process waiting on it
+const recordOutcome = (queue, entry, status, details = {}) => {
+    queue.outcomes.unshift({ id: entry.id, status, at: new Date().toISOString(), entry: describeEntry(entry), ...details });
+};
+
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0); // Signal 0 only checks that the process exists
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+// Make this process the drainer when no running process is; returns whether it is the drainer
+const claimDrainer = (queue) => {
+    if (queue.drainer !== process.pid && !(queue.drainer && isRunning(queue.drainer))) {
+        console.log(`Queue: process ${process.pid} now sends the queued posts`);
+        queue.drainer = process.pid;
+    }
+    return queue.drainer === process.pid;
+};
+
+const describeError = error => (error.response
+    ? `${error.response.status}: ${typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data)}`
+    : error.message);
+
+// A 400 means the board will never be accepted as it is, so retrying cannot help
+const isPermanentFailure = error => Boolean(error.permanent) ||
+    Boolean(error.response && error.response.status === 400);
+
+// Settle the promises handed out by enqueuePost for an entry
+const settle = (id, outcome, { result, entry, error } = {}) => {
+    const waiter = waiters.get(id);
+    if (!waiter) {
+        return;
+    }
+
+    waiter.attempted({ status: outcome, result, entry });
+    if (outcome === POST_OUTCOME.QUEUED) {
+        return; // Still pending; delivered settles on a later attempt
+    }
+
+    waiters.delete(id);
+    if (outcome === POST_OUTCOME.POSTED) {
+        waiter.resolve(result);
+    } else {
+        waiter.reject(error);
+    }
+};
+
+const scheduleDrain = (name, delay = 0) => {
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => drainBoard(name), Math.max(delay, 0)));
+};
+
+const deliver = (entry) => {
+    const target = getBoard(entry.board);
+    if (!target) {
+        throw Object.assign(new Error(`Unknown board: ${entry.board}`), { permanent: true });
+    }
+
+    return entry.message.characters
+        ? postToVestaboard(entry.message.characters, target)
+        : postTextToVestaboard(entry.message.text, target);
+};
+
+// Record a failed attempt: back off and retry, or give up and keep it as a dead letter
+const recordFailure = (entry, error) => {
+    const attempts = entry.attempts + 1;
+    const lastError = describeError(error);
+    const tag = `${entry.label} for board ${entry.board}`;
+
+    if (isPermanentFailure(error) || attempts >= getMaxAttempts()) {
+        const dead = { ...entry, attempts, lastError, sendingAt: null, deadAt: new Date().toISOString() };
+        updateQueue((queue) => {
+            queue.pending = queue.pending.filter(pending => pending.id !== entry.id);
+            queue.dead = [dead, ...queue.dead].slice(0, DEAD_LETTERS_KEPT);
+        });
+        console.error(`Queue: giving up on ${tag} after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${lastError}`);
+        settle(entry.id, POST_OUTCOME.DEAD, { entry: dead, error });
+        return;
+    }
+
+    const delay = getRetryDelay(attempts);
+    const retry = {
+        ...entry,
+        attempts,
+        lastError,
+        sendingAt: null,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+    };
+    updateQueue((queue) => {
+        queue.pending = queue.pending.map(pending => (pending.id === entry.id ? retry : pending));
+    });
+    console.error(`Queue: ${tag} failed (attempt ${attempts}/${getMaxAttempts()}): ${lastError}, retrying in ${Math.ceil(delay / 1000)} seconds`);
+    settle(entry.id, POST_OUTCOME.QUEUED, { entry: retry });
+};
+
+// Send the next due post for a board, then look for the one after it
+const drainBoard = async (name) => {
+    timers.delete(name);
+    if (sending.has(name)) {
+        return;
+    }
+
+    const queue = loadQueue();
+    if (queue.drainer !== process.pid) {
+        return;
+    }
+
+    const entries = queue.pending.filter(entry => entry.board === name);
+    if (entries.length === 0) {
+        return;
+    }
+
+    const now = Date.now();
+    const due = entries
+        .filter(entry => Date.parse(entry.nextAttemptAt) <= now)
+        .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+
+    if (due.length === 0) {
+        scheduleDrain(name, Math.min(...entries.map(entry => Date.parse(entry.nextAttemptAt))) - now);
+        return;
+    }
+
+    // Wait out the rate limit here rather than in postToVestaboard, so a newer post can still
+    // replace this one in the meantime. lastPosts covers posts sent by a previous drainer.
+    const wait = Math.max(getRateLimitWait(name), (queue.lastPosts[name] || 0) + RATE_LIMIT_DELAY - now);
+    if (wait > 0) {
+        scheduleDrain(name, wait);
+        return;
+    }
+
+    // Claim the entry unless it was replaced or cancelled since the queue was read. One already
+    // marked as sending was left behind by a previous drainer and is sent again.
+    const entry = { ...due[0], sendingAt: new Date().toISOString() };
+    const claimed = updateQueue((latest) => {
+        if (latest.drainer !== process.pid || !latest.pending.some(pending => pending.id === entry.id)) {
+            return false;
+        }
+        latest.pending = latest.pending.map(pending => (pending.id === entry.id ? entry : pending));
+        latest.lastPosts[name] = Date.now();
+        return true;
+    });
+    if (!claimed) {
+        scheduleDrain(name);
+        return;
+    }
+    sending.add(name);
+
+    try {
+        const result = await deliver(entry);
+        updateQueue((latest) => {
+            latest.pending = latest.pending.filter(pending => pending.id !== entry.id);
+            recordOutcome(latest, entry, POST_OUTCOME.POSTED, { result });
+        });
+        if (entry.attempts > 0) {
+            console.log(`Queue: posted ${entry.label} to board ${name} after ${entry.attempts} failed attempt${entry.attempts === 1 ? '' : 's'}`);
+        }
+        settle(entry.id, POST_OUTCOME.POSTED, { result, entry });
+    } catch (error) {
+        recordFailure(entry, error);
+    } finally {
+        sending.delete(name);
+        scheduleDrain(name);
+    }
+};
+
+/**
+ * Queue a post to a board. Pending posts for the board with the same or lower priority are
+ * replaced; their promises settle as POST_OUTCOME.REPLACED.
+ * @param {object} message - { characters } for a 6x22 grid or { text }
+ * @param {object} [options]
+ * @param {object|string} [options.board] - Board from lib/boards.js or its name, defaults to the primary board
+ * @param {number} [options.priority=PRIORITY.NORMAL] - One of PRIORITY
+ * @param {string} [options.label='post'] - What is being posted, for logs and the panel
+ * @param {string} [options.requestedBy=null] - Panel user who asked for the post (see lib/auth.js);
+ *     null for scheduled posts
+ * @returns {{ id: string, attempted: Promise<object>, delivered: Promise<object> }} attempted
+ *     resolves after the first attempt with { status, result, entry }, status one of POST_OUTCOME;
+ *     delivered resolves with the API response once posted and rejects when the post is given up
+ *     on or replaced
+ */
+const enqueuePost = (message, { board = getPrimaryBoard(), priority = PRIORITY.NORMAL, label = 'post', requestedBy = null } = {}) => {
+    if (message.characters) {
+        const errors = validateGrid(message.characters);
+        if (errors.length > 0) {
+            throw new Error(`Invalid board grid: ${errors[0]}`);
+        }
+    } else if (typeof message.text !== 'string') {
+        throw new Error('A post needs characters or text');
+    }
+
+    const name = typeof board === 'string' ? board : board.name;
+    const now = new Date().toISOString();
+    const entry = {
+        id: crypto.randomUUID(),
+        board: name,
+        priority,
+        label,
+        requestedBy,
+        message: message.characters ? { characters: message.characters } : { text: message.text },
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        lastError: null,
+        owner: process.pid,
+        sendingAt: null
+    };
+
+    let attempted;
+    let resolve;
+    let reject;
+    const attemptedPromise = new Promise((resolveAttempt) => { attempted = resolveAttempt; });
+    const delivered = new Promise((resolveDelivery, rejectDelivery) => {
+        resolve = resolveDelivery;
+        reject = rejectDelivery;
+    });
+    delivered.catch(() => {}); // Callers that only wait for the first attempt need not handle this
+    waiters.set(entry.id, { attempted, resolve, reject });
+
+    // Posts queued by the other process are replaced too; it learns so from the outcome
+    const replacedMessage = `Replaced by a newer post to board ${name}`;
+    const { replaced, draining } = updateQueue((queue) => {
+        const superseded = queue.pending.filter(pending => pending.board === name &&
+            pending.priority <= priority && !pending.sendingAt);
+        queue.pending = [...queue.pending.filter(pending => !superseded.includes(pending)), entry];
+        superseded.forEach((pending) => {
+            recordOutcome(queue, pending, POST_OUTCOME.REPLACED, { error: replacedMessage });
+        });
+        return { replaced: superseded, draining: claimDrainer(queue) };
+    });
+
+    replaced.forEach((pending) => {
+        console.log(`Queue: ${label} replaces pending ${pending.label} for board ${name}`);
+        settle(pending.id, POST_OUTCOME.REPLACED, {
+            entry: pending,
+            error: Object.assign(new Error(replacedMessage), { code: 'REPLACED' })
+        });
+    });
+
+    if (draining) {
+        scheduleDrain(name);
+    }
+    startPolling();
+    return { id: entry.id, attempted: attemptedPromise, delivered };
+};
+
+// Settle the promises of this process's posts from what the drainer recorded in the queue
+const settleFromQueue = (queue) => {
+    waiters.forEach((waiter, id) => {
+        const outcome = queue.outcomes.find(candidate => candidate.id === id);
+        const pending = queue.pending.find(candidate => candidate.id === id);
+        const dead = queue.dead.find(candidate => candidate.id === id);
+
+        if (outcome && outcome.status === POST_OUTCOME.POSTED) {
+            settle(id, POST_OUTCOME.POSTED, { result: outcome.result, entry: outcome.entry });
+        } else if (outcome) {
+            settle(id, POST_OUTCOME.REPLACED, {
+                entry: outcome.entry,
+                error: Object.assign(new Error(outcome.error), { code: 'REPLACED' })
+            });
+        } else if (dead) {
+            settle(id, POST_OUTCOME.DEAD, { entry: dead, error: new Error(dead.lastError) });
+        } else if (pending && pending.attempts > 0) {
+            settle(id, POST_OUTCOME.QUEUED, { entry: pending });
+        } else if (!pending) {
+            settle(id, POST_OUTCOME.DEAD, { entry: { id, lastError: 'Lost from the queue' }, error: new Error('Lost from the queue') });
+        }
+    });
+};
+
+// Poll while this process runs; the timer only keeps the process alive while it waits on posts
+const startPolling = () => {
+    if (!pollTimer) {
+        pollTimer = setInterval(() => pollQueue(), POLL_INTERVAL); // Defined below
+    }
+
+    if (waiters.size > 0) {
+        pollTimer.ref();
+    } else {
+        pollTimer.unref();
+    }
+};
+
+// Take over as drainer when the last one stopped, pick up posts queued by other processes and
+// settle this process's posts sent by another one
+const pollQueue = () => {
+    let queue = loadQueue();
+    if (queue.drainer !== process.pid && !(queue.drainer && isRunning(queue.drainer))) {
+        updateQueue(claimDrainer);
+        queue = loadQueue();
+    }
+
+    if (queue.drainer === process.pid) {
+        new Set(queue.pending.map(entry => entry.board)).forEach((name) => {
+            if (!timers.has(name) && !sending.has(name)) {
+                scheduleDrain(name);
+            }
+        });
+    }
+
+    settleFromQueue(queue);
+    startPolling();
+};
+
+// Start sending posts left in queue.json, e.g. by a previous run, unless another process does
+const startQueue = () => {
+    const draining = updateQueue(claimDrainer);
+    if (draining) {
+        new Set(loadQueue().pending.map(entry => entry.board)).forEach((name) => {
+            console.log(`Queue: resuming pending posts for board ${name}`);
+            scheduleDrain(name);
+        });
+    }
+    startPolling();
+};
+
+// Drop a pending post that is not being sent; returns it, or null if there is none
+const cancelPost = (id) => {
+    const entry = updateQueue((queue) => {
+        const found = queue.pending.find(pending => pending.id === id && !pending.sendingAt);
+        queue.pending = queue.pending.filter(pending => pending !== found);
+        if (found) {
+            recordOutcome(queue, found, POST_OUTCOME.REPLACED, { error: 'Post cancelled' });
+        }
+        return found || null;
+    });
+
+    if (entry) {
+        settle(id, POST_OUTCOME.REPLACED, {
+            entry,
+            error: Object.assign(new Error('Post cancelled'), { code: 'REPLACED' })
+        });
+    }
+    return entry;
+};
+
+// Queue a dead letter again with a fresh set of attempts; returns it, or null if there is none
+const retryDeadLetter = (id) => {
+    const { entry, draining } = updateQueue((queue) => {
+        const found = queue.dead.find(dead => dead.id === id);
+        if (!found) {
+            return { entry: null };
+        }
+
+        const { deadAt, ...retry } = found;
+        const now = new Date().toISOString();
+        const queued = { ...retry, attempts: 0, owner: process.pid, sendingAt: null, createdAt: now, nextAttemptAt: now };
+        queue.dead = queue.dead.filter(dead => dead !== found);
+        queue.pending.push(queued);
+        return { entry: queued, draining: claimDrainer(queue) };
+    });
+
+    if (draining) {
+        scheduleDrain(entry.board);
+    }
+    return entry;
+};
+
+const clearDeadLetters = () => updateQueue((queue) => {
+    const count = queue.dead.length;
+    queue.dead = [];
+    return count;
+});
+
+module.exports = {
+    QUEUE_PATH,
+    PRIORITY,
+    POST_OUTCOME,
+    getMaxAttempts,
+    getRetryDelay,
+    enqueuePost,
+    loadQueue,
+    startQueue,
+    cancelPost,
+    retryDeadLetter,
+    clearDeadLetters
+};
@@ -0,0 +1,95 @@
+﻿// races.js - Supported races with their PCS slugs, stage counts, and jersey names/colours
+const { VESTABOARD_CHARS } = require('./vestaboard');
+
+const { RED, YELLOW, GREEN, BLUE, VIOLET, WHITE } = VESTABOARD_CHARS;
+
+// Classification jerseys share the same keys across races:
+// leader (GC), points, mountains and youth. `colors` are the two tiles shown next to the holder.
+const TOUR_JERSEYS = {
+    leader: { name: 'Yellow jersey', label: 'YELLOW', abbreviation: 'Y', colors: [YELLOW, YELLOW] },
+    points: { name: 'Green jersey', label: 'GREEN', abbreviation: 'G', colors: [GREEN, GREEN] },
+    mountains: { name: 'Polka dot jersey', label: 'POLKA DOT', abbreviation: 'M', colors: [RED, WHITE] },
+    youth: { name: 'White jersey', label: 'WHITE', abbreviation: 'W', colors: [WHITE, WHITE] }
+};
+
+const RACES = {
+    'tour-de-france': {
+        id: 'tour-de-france',
+        name: 'Tour de France',
+        shortName: 'TOUR DE FRANCE',
+        pcsSlug: 'tour-de-france',
+        stageCount: 21,
+        headerColor: YELLOW,
+        jerseys: TOUR_JERSEYS
+    },
+    'giro-d-italia': {
+        id: 'giro-d-italia',
+        name: "Giro d'Italia",
+        shortName: "GIRO D'ITALIA",
+        pcsSlug: 'giro-d-italia',
+        stageCount: 21,
+        headerColor: RED,
+        jerseys: {
+            // No pink tile on the board, so the maglia rosa is red and white
+            leader: { name: 'Maglia rosa', label: 'ROSA', abbreviation: 'R', colors: [RED, WHITE] },
+            points: { name: 'Maglia ciclamino', label: 'CICLAMINO', abbreviation: 'P', colors: [VIOLET, VIOLET] },
+            mountains: { name: 'Maglia azzurra', label: 'AZZURRA', abbreviation: 'M', colors: [BLUE, BLUE] },
+            youth: { name: 'Maglia bianca', label: 'BIANCA', abbreviation: 'W', colors: [WHITE, WHITE] }
+        }
+    },
+    'vuelta-a-espana': {
+        id: 'vuelta-a-espana',
+        name: 'Vuelta a España',
+        shortName: 'LA VUELTA',
+        pcsSlug: 'vuelta-a-espana',
+        stageCount: 21,
+        headerColor: RED,
+        jerseys: {
+            leader: { name: 'Red jersey', label: 'ROJO', abbreviation: 'R', colors: [RED, RED] },
+            points: { name: 'Green jersey', label: 'VERDE', abbreviation: 'G', colors: [GREEN, GREEN] },
+            mountains: { name: 'Polka dot jersey', label: 'LUNARES', abbreviation: 'M', colors: [BLUE, WHITE] },
+            youth: { name: 'White jersey', label: 'BLANCO', abbreviation: 'W', colors: [WHITE, WHITE] }
+        }
+    },
+    'tour-de-france-femmes': {
+        id: 'tour-de-france-femmes',
+        name: 'Tour de France Femmes',
+        shortName: 'TDF FEMMES',
+        pcsSlug: 'tour-de-france-femmes',
+        stageCount: 9,
+        headerColor: YELLOW,
+        jerseys: TOUR_JERSEYS
+    }
+};
+
+const DEFAULT_RACE = process.env.RACE || 'tour-de-france';
+
+// Look up a race by id (defaults to RACE or the Tour), or null if unknown
+const getRace = (raceId = DEFAULT_RACE) => {
+    const id = raceId || DEFAULT_RACE;
+    return Object.prototype.hasOwnProperty.call(RACES, id) ? RACES[id] : null;
+};
+
+// Number of stages, preferring the calendar when one is loaded
+const getStageCount = (race, calendar) => {
+    if (calendar && calendar.stages && calendar.stages.length > 0) {
+        return calendar.stages.length;
+    }
+    return race.stageCount;
+};
+
+// Public race list for the API/frontend
+const listRaces = () => Object.values(RACES).map(({ id, name, stageCount, jerseys }) => ({
+    id,
+    name,
+    stageCount,
+    jerseys: Object.fromEntries(Object.entries(jerseys).map(([key, jersey]) => [key, jersey.name]))
+}));
+
+module.exports = {
+    RACES,
+    DEFAULT_RACE,
+    getRace,
+    getStageCount,
+    listRaces
+};
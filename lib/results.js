@@ -0,0 +1,192 @@
+﻿// results.js - Structured result model shared by providers and views
+//
+// A result row looks like:
+//   {
+//     position: 1,              // null when not classified
+//     status: 'FIN',            // FIN, DNF, DNS, OTL or DSQ
+//     rider: 'VAN DER POEL Mathieu', firstName: 'Mathieu', lastName: 'VAN DER POEL',
+//     nationality: 'NL', bib: 11,
+//     team: 'Alpecin - Deceuninck', teamCode: 'ADC',
+//     time: 86630,              // seconds: finish time (stage) or total time (GC)
+//     gap: 0,                   // seconds behind the winner/leader
+//     bonus: 10                 // bonus seconds taken on the stage
+//   }
+
+const RESULT_STATUS = {
+    FINISHED: 'FIN',
+    DID_NOT_FINISH: 'DNF',
+    DID_NOT_START: 'DNS',
+    OUTSIDE_TIME_LIMIT: 'OTL',
+    DISQUALIFIED: 'DSQ'
+};
+
+// UCI codes for the WorldTour and the usual wildcard teams, matched on a normalised team name
+const TEAM_CODES = {
+    'uae team emirates': 'UAD',
+    'visma': 'TVL',
+    'soudal quick-step': 'SOQ',
+    'alpecin': 'ADC',
+    'lidl - trek': 'LTK',
+    'ef education': 'EFE',
+    'ineos grenadiers': 'IGD',
+    'red bull - bora': 'RBH',
+    'jayco alula': 'JAY',
+    'picnic postnl': 'TPP',
+    'groupama - fdj': 'GFC',
+    'decathlon ag2r': 'DAT',
+    'movistar': 'MOV',
+    'bahrain victorious': 'TBV',
+    'cofidis': 'COF',
+    'intermarché - wanty': 'IWA',
+    'arkéa - b&b hotels': 'ARK',
+    'astana': 'XAT',
+    'uno-x mobility': 'UXM',
+    'israel - premier tech': 'IPT',
+    'tudor pro cycling': 'TUD',
+    'lotto': 'LOT',
+    'totalenergies': 'TEN'
+};
+
+// "h:mm:ss" or "m:ss" to seconds; null for anything else
+const parseTime = (text) => {
+    const match = (text || '').trim().match(/^\+?(\d+(?::\d{1,2}){0,2})$/);
+    if (!match) {
+        return null;
+    }
+    return match[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+};
+
+// Seconds as "h:mm:ss" or "m:ss"
+const formatTime = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = (seconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Gap in seconds as "+m:ss" (or "+h:mm:ss"); empty for the leader
+const formatGap = (seconds) => (seconds > 0 ? `+${formatTime(seconds)}` : '');
+
+// Bonus seconds from "0:10", "10", "10''" or "10″"
+const parseBonus = (text) => {
+    const value = (text || '').replace(/["'″]/g, '').trim();
+    if (!value) {
+        return 0;
+    }
+    return value.includes(':') ? parseTime(value) || 0 : parseInt(value, 10) || 0;
+};
+
+// Position cell: a number, or a status like DNF/DNS/OTL/DSQ
+const parsePosition = (text) => {
+    const value = (text || '').trim().toUpperCase();
+    if (/^\d+$/.test(value)) {
+        return { position: parseInt(value, 10), status: RESULT_STATUS.FINISHED };
+    }
+
+    const status = Object.values(RESULT_STATUS).find(code => code === value);
+    return { position: null, status: status || RESULT_STATUS.DID_NOT_FINISH };
+};
+
+// Lowercase words that belong to the surname that follows them
+const SURNAME_PARTICLES = ['van', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'dos', 'du', 'des', 'le', 'la', 'von', 'ten', 'ter', "'t"];
+
+// PCS writes names as "SURNAME Firstname" with the surname in capitals,
+// e.g. "VAN DER POEL Mathieu". Anything else is treated as "Firstname Surname", with
+// particles kept on the surname ("Mathieu van der Poel" -> VAN DER POEL).
+const splitRiderName = (name) => {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+    const isUpperCase = (part) => part === part.toUpperCase() && part !== part.toLowerCase();
+
+    const surnameLength = parts.findIndex(part => !isUpperCase(part));
+    if (surnameLength > 0) {
+        return {
+            firstName: parts.slice(surnameLength).join(' '),
+            lastName: parts.slice(0, surnameLength).join(' ')
+        };
+    }
+
+    let surnameStart = Math.max(parts.length - 1, 0);
+    while (surnameStart > 1 && SURNAME_PARTICLES.includes(parts[surnameStart - 1].toLowerCase())) {
+        surnameStart--;
+    }
+
+    return {
+        firstName: parts.slice(0, surnameStart).join(' '),
+        lastName: parts.slice(surnameStart).join(' ').toUpperCase()
+    };
+};
+
+// UCI code for a team name, or the initials of its first three words
+const getTeamCode = (team) => {
+    const name = (team || '').toLowerCase();
+    const key = Object.keys(TEAM_CODES).find(teamName => name.includes(teamName));
+    if (key) {
+        return TEAM_CODES[key];
+    }
+
+    return name
+        .split(/[\s\-|]+/)
+        .filter(Boolean)
+        .slice(0, 3)
+        .map(word => word[0].toUpperCase())
+        .join('');
+};
+
+// Build full results from raw rows { positionText, rider, nationality, bib, team, timeText, bonusText }.
+// The first classified row carries the absolute time, the rest a gap ("+2:44"), or ",," for same time.
+const buildResults = (rows) => {
+    let leaderTime = null;
+    let previousGap = 0;
+
+    return rows.map((row) => {
+        const { position, status } = parsePosition(row.positionText);
+        const timeText = (row.timeText || '').trim();
+        let gap = null;
+
+        if (status === RESULT_STATUS.FINISHED) {
+            if (leaderTime === null) {
+                leaderTime = parseTime(timeText);
+                gap = 0;
+            } else if (timeText === ',,' || timeText === '' || timeText === '0:00') {
+                gap = previousGap;
+            } else {
+                gap = parseTime(timeText);
+            }
+            previousGap = gap === null ? previousGap : gap;
+        }
+
+        return {
+            position,
+            status,
+            rider: row.rider,
+            ...splitRiderName(row.rider),
+            nationality: row.nationality ? row.nationality.toUpperCase() : null,
+            bib: row.bib ? parseInt(row.bib, 10) || null : null,
+            team: row.team || '',
+            teamCode: row.team ? getTeamCode(row.team) : null,
+            time: leaderTime !== null && gap !== null ? leaderTime + gap : null,
+            gap,
+            bonus: parseBonus(row.bonusText)
+        };
+    });
+};
+
+// Riders who left the race (DNF, DNS, OTL, DSQ)
+const getAbandons = (results) => results.filter(result => result.status !== RESULT_STATUS.FINISHED);
+
+// Classified riders only, in order
+const getFinishers = (results) => results.filter(result => result.status === RESULT_STATUS.FINISHED);
+
+module.exports = {
+    RESULT_STATUS,
+    SURNAME_PARTICLES,
+    parseTime,
+    formatTime,
+    formatGap,
+    parseBonus,
+    splitRiderName,
+    getTeamCode,
+    buildResults,
+    getAbandons,
+    getFinishers
+};
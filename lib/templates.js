@@ -0,0 +1,302 @@
+﻿// templates.js - Declarative board layouts rendered into 6x22 grids
+//
+// Templates are JSON files in templates/ (bundled) or TEMPLATES_DIR (added or overriding
+// bundled ones by name), read on every render so they can be edited without a restart:
+//
+//   {
+//     "name": "gc",
+//     "description": "GC top three",
+//     "each": "jerseyList",           optional: one board per item of a list, bound as {item}
+//     "rows": [row, ...]
+//   }
+//
+// Rows:
+//   { "text": "1. {gc[0].rider|name}", "align": "left" | "center" | "right",
+//     "right": "{gc[0].gap|gap}",     value flush right
+//     "tiles": ["YELLOW"] or "{race.jerseys.leader.colors}",   leading colour tiles
+//     "truncate": "clip" | "dots" }   how text that does not fit is cut (default clip)
+//   { "header": "GC STANDINGS", "color": "{race.headerColor}" }   text between colour tiles
+//   { "fill": "BLUE" }                 a row of one colour ("fill": null for a blank row)
+//   { "when": "gc[1]", ..., "else": row or "text" }   rendered only when the path is truthy
+//       ("!path" negates, a list of paths must all hold); otherwise the else row or a blank row
+//   { "repeat": "gc", "limit": 10, "row": row, "empty": [rows] }
+//       one row per list item, bound as {item}; when the items do not fit, the board is split
+//       into pages with {page}, {pages} and {pageLabel} (" 1/2", empty on a single page) bound
+//
+// Bindings are {path|filter|filter:arg} with paths like gc[0].rider or item.colors[0]. A value
+// that is nothing but one binding keeps its type, so colours and tile lists can be bound.
+// Filters: gap, time, pad:N, points, numeric, upper, default:TEXT and name, which shortens a
+// rider's name to the space left on the row (split evenly between names on the same row).
+const fs = require('fs');
+const path = require('path');
+const {
+    VESTABOARD_CHARS,
+    BOARD_ROWS,
+    BOARD_COLUMNS,
+    formatLine,
+    formatSplitLine,
+    createStylizedHeader,
+    createColorRow,
+    createFilledRow,
+    ensureValidGrid
+} = require('./vestaboard');
+const { formatGap, formatTime } = require('./results');
+const { shortenName } = require('./names');
+
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const HEADER_COLUMNS = BOARD_COLUMNS - 4; // createStylizedHeader keeps two tiles each side
+
+const BINDING_PATTERN = /\{([^{}]+)\}/g;
+
+const FILTERS = {
+    gap: value => formatGap(value),
+    time: value => (value ? formatTime(value) : ''),
+    pad: (value, width) => String(value === undefined || value === null ? '' : value).padStart(parseInt(width, 10) || 0),
+    points: value => (/^\d+$/.test(String(value)) ? `${value} PTS` : value),
+    numeric: value => (/^\d+$/.test(String(value)) ? String(value) : ''),
+    upper: value => String(value === undefined || value === null ? '' : value).toUpperCase(),
+    default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value)
+};
+
+// Value at a path such as "gc[0].rider" or "item.colors[0]"
+const resolvePath = (data, bindingPath) => (bindingPath.match(/[^.[\]]+/g) || [])
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+// "gc[1].gap|gap|default:-" -> { path: 'gc[1].gap', filters: [{ name: 'gap' }, { name: 'default', arg: '-' }] }
+const parseBinding = (expression) => {
+    const [bindingPath, ...filters] = expression.split('|').map(part => part.trim());
+    return {
+        path: bindingPath,
+        filters: filters.map((filter) => {
+            const separator = filter.indexOf(':');
+            return separator === -1
+                ? { name: filter }
+                : { name: filter.slice(0, separator), arg: filter.slice(separator + 1) };
+        })
+    };
+};
+
+const applyFilters = (value, filters) => filters.reduce((result, filter) => {
+    if (!FILTERS[filter.name]) {
+        throw new Error(`Unknown template filter "${filter.name}"`);
+    }
+    return FILTERS[filter.name](result, filter.arg);
+}, value);
+
+// Raw value of a string that is exactly one binding ("{race.headerColor}"), else undefined
+const resolveSingleBinding = (text, data) => {
+    const match = typeof text === 'string' && text.match(/^\{([^{}]+)\}$/);
+    if (!match) {
+        return undefined;
+    }
+    const { path: bindingPath, filters } = parseBinding(match[1]);
+    return applyFilters(resolvePath(data, bindingPath), filters);
+};
+
+// Fill in the bindings of a text. Names (the name filter, which must come last) share what is
+// left of `width` once everything else is in place.
+const interpolate = (text, data, width, formatName) => {
+    const parts = [];
+    let lastIndex = 0;
+
+    (text || '').replace(BINDING_PATTERN, (match, expression, offset) => {
+        parts.push(text.slice(lastIndex, offset));
+        lastIndex = offset + match.length;
+
+        const { path: bindingPath, filters } = parseBinding(expression);
+        const isName = filters.length > 0 && filters[filters.length - 1].name === 'name';
+        const value = applyFilters(resolvePath(data, bindingPath), isName ? filters.slice(0, -1) : filters);
+
+        parts.push(isName ? { name: value } : String(value === undefined || value === null ? '' : value));
+        return match;
+    });
+    parts.push((text || '').slice(lastIndex));
+
+    const names = parts.filter(part => typeof part === 'object');
+    const fixedLength = parts.filter(part => typeof part === 'string').join('').length;
+    const share = names.length > 0 ? Math.floor((width - fixedLength) / names.length) : 0;
+
+    return parts
+        .map(part => (typeof part === 'object' ? (part.name ? formatName(part.name, share) : '') : part))
+        .join('')
+        .replace(/\s+$/, '');
+};
+
+// Colour code from a name ("BLUE"), a code, or a binding to either
+const resolveColor = (value, data) => {
+    const bound = resolveSingleBinding(value, data);
+    const color = bound !== undefined ? bound : value;
+
+    if (typeof color === 'number') {
+        return color;
+    }
+    if (typeof color === 'string' && VESTABOARD_CHARS[color.toUpperCase()] !== undefined) {
+        return VESTABOARD_CHARS[color.toUpperCase()];
+    }
+    return undefined;
+};
+
+const resolveTiles = (tiles, data) => {
+    if (!tiles) {
+        return [];
+    }
+    const bound = resolveSingleBinding(tiles, data);
+    const list = bound !== undefined ? bound : tiles;
+
+    return (Array.isArray(list) ? list : [list])
+        .map(tile => resolveColor(tile, data))
+        .filter(code => code !== undefined);
+};
+
+const isTruthy = (condition, data) => {
+    if (Array.isArray(condition)) {
+        return condition.every(part => isTruthy(part, data));
+    }
+
+    const negate = condition.startsWith('!');
+    const value = resolvePath(data, negate ? condition.slice(1) : condition);
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return negate ? !truthy : truthy;
+};
+
+// Fit text into width according to the row's truncate rule
+const truncate = (text, width, rule) => {
+    if (text.length <= width || rule !== 'dots') {
+        return text;
+    }
+    return `${text.slice(0, Math.max(width - 1, 0))}.`;
+};
+
+// One row spec -> row of character codes
+const renderRow = (row, data, formatName) => {
+    if (typeof row === 'string') {
+        return renderRow({ text: row }, data, formatName);
+    }
+
+    if (row.when && !isTruthy(row.when, data)) {
+        return row.else ? renderRow(row.else, data, formatName) : createFilledRow();
+    }
+
+    if (row.header !== undefined) {
+        const color = resolveColor(row.color, data);
+        const text = interpolate(row.header, data, HEADER_COLUMNS, formatName);
+        return createStylizedHeader(truncate(text, HEADER_COLUMNS, row.truncate), color);
+    }
+
+    if (row.fill !== undefined) {
+        const color = resolveColor(row.fill, data);
+        return color === undefined ? createFilledRow() : createFilledRow(color);
+    }
+
+    const tiles = resolveTiles(row.tiles, data);
+    const right = row.right ? interpolate(row.right, data, BOARD_COLUMNS - tiles.length, formatName) : '';
+    const width = BOARD_COLUMNS - tiles.length - (right ? right.length + 1 : 0);
+    const text = truncate(interpolate(row.text, data, width, formatName), width, row.truncate);
+
+    if (tiles.length > 0) {
+        return createColorRow(tiles, text, right);
+    }
+    return right ? formatSplitLine(text, right) : formatLine(text, row.align || 'left');
+};
+
+// Row specs for one board, expanding a repeat row into pages of rows
+const paginateRows = (rows, data) => {
+    const repeatIndex = rows.findIndex(row => row.repeat);
+    if (repeatIndex === -1) {
+        return [{ data: { ...data, page: 1, pages: 1, pageLabel: '' }, rows }];
+    }
+
+    const repeat = rows[repeatIndex];
+    const before = rows.slice(0, repeatIndex);
+    const after = rows.slice(repeatIndex + 1);
+    const list = resolvePath(data, repeat.repeat);
+    const items = (Array.isArray(list) ? list : []).slice(0, repeat.limit || undefined);
+
+    if (items.length === 0) {
+        return [{ data: { ...data, page: 1, pages: 1, pageLabel: '' }, rows: [...before, ...(repeat.empty || []), ...after] }];
+    }
+
+    const perPage = repeat.perPage || Math.max(BOARD_ROWS - before.length - after.length, 1);
+    const pages = Math.ceil(items.length / perPage);
+
+    return Array.from({ length: pages }, (unused, page) => {
+        const pageData = {
+            ...data,
+            page: page + 1,
+            pages,
+            pageLabel: pages > 1 ? ` ${page + 1}/${pages}` : ''
+        };
+        const itemRows = items.slice(page * perPage, (page + 1) * perPage).map((item, i) => ({
+            ...repeat.row,
+            data: { ...pageData, item, index: page * perPage + i + 1 }
+        }));
+
+        return { data: pageData, rows: [...before, ...itemRows, ...after] };
+    });
+};
+
+/**
+ * Render a template into validated grids, one per board (see the format above).
+ * @param {object} template
+ * @param {object} data - Values for the bindings
+ * @param {{ formatName?: function }} [options] - Name shortener, (name, maxLength) => string
+ * @returns {number[][][]}
+ */
+const renderTemplate = (template, data, { formatName = shortenName } = {}) => {
+    const boardsData = template.each
+        ? (resolvePath(data, template.each) || []).map((item, i) => ({ ...data, item, index: i + 1 }))
+        : [data];
+
+    return boardsData.reduce((grids, boardData) => grids.concat(
+        paginateRows(template.rows, boardData).map(page => ensureValidGrid(
+            page.rows.map(row => renderRow(row, row.data || page.data, formatName))
+        ))
+    ), []);
+};
+
+// Check the basic shape of a template, naming the file in the error
+const validateTemplate = (template, source) => {
+    if (!template || typeof template !== 'object' || !Array.isArray(template.rows)) {
+        throw new Error(`Template ${source} needs a "rows" array`);
+    }
+    if (template.rows.filter(row => row && row.repeat).length > 1) {
+        throw new Error(`Template ${source} can only have one "repeat" row`);
+    }
+    return template;
+};
+
+const readTemplatesDir = (dir) => {
+    if (!dir || !fs.existsSync(dir)) {
+        return {};
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .reduce((templates, file) => {
+            const filePath = path.join(dir, file);
+            try {
+                const template = validateTemplate(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+                templates[template.name || path.basename(file, '.json')] = template;
+            } catch (error) {
+                console.error(`Error loading template ${filePath}:`, error.message);
+            }
+            return templates;
+        }, {});
+};
+
+// Bundled templates, overridden or extended by TEMPLATES_DIR: { name: template }
+const loadTemplates = () => ({
+    ...readTemplatesDir(BUNDLED_TEMPLATES_DIR),
+    ...readTemplatesDir(process.env.TEMPLATES_DIR)
+});
+
+module.exports = {
+    BUNDLED_TEMPLATES_DIR,
+    FILTERS,
+    resolvePath,
+    interpolate,
+    renderRow,
+    renderTemplate,
+    validateTemplate,
+    loadTemplates
+};
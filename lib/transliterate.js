@@ -0,0 +1,77 @@
+﻿// transliterate.js - Fold accented and non-Latin letters onto the Vestaboard character set
+//
+// Rider and town names arrive with diacritics ("Pogačar", "Évenepoel", "Jørgensen").
+// Letters with combining accents are decomposed and stripped (č -> C, é -> E); letters that
+// do not decompose, ligatures and typographic punctuation go through TRANSLITERATIONS.
+// Anything still not on the board is recorded so it can be reported and added here.
+
+// Characters that Unicode decomposition does not reduce to plain Latin
+const TRANSLITERATIONS = {
+    'ß': 'SS', 'ẞ': 'SS',
+    'Æ': 'AE', 'æ': 'AE',
+    'Œ': 'OE', 'œ': 'OE',
+    'Ø': 'O', 'ø': 'O',
+    'Đ': 'D', 'đ': 'D', 'Ð': 'D', 'ð': 'D',
+    'Ł': 'L', 'ł': 'L',
+    'Þ': 'TH', 'þ': 'TH',
+    'ı': 'I',
+    'ŋ': 'NG',
+    '‘': "'", '’': "'", '`': "'", '´': "'",
+    '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+    '–': '-', '—': '-', '‐': '-',
+    '…': '...',
+    '|': '/',
+    '\u00a0': ' '
+};
+
+const toCodePoint = char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+// Unmapped character -> times seen since the process started (or the last reset)
+const unmappedCharacters = new Map();
+
+/**
+ * Transliterate text to uppercase characters the board can show.
+ * @param {string} text
+ * @returns {string}
+ */
+const transliterate = text => Array.from(text || '')
+    .map(char => (TRANSLITERATIONS[char] !== undefined
+        ? TRANSLITERATIONS[char]
+        : char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')))
+    .join('')
+    .toUpperCase();
+
+/**
+ * Record a character the board cannot show, warning the first time it is seen.
+ * @param {string} char
+ * @param {string} text - Text it appeared in, for the warning
+ */
+const reportUnmapped = (char, text) => {
+    const count = unmappedCharacters.get(char) || 0;
+    if (count === 0) {
+        console.warn(`No Vestaboard character for "${char}" (${toCodePoint(char)}) in "${text}", showing a blank`);
+    }
+    unmappedCharacters.set(char, count + 1);
+};
+
+/**
+ * Characters that could not be mapped so far, most frequent first.
+ * @returns {{ char: string, codePoint: string, count: number }[]}
+ */
+const getUnmappedCharacters = () => [...unmappedCharacters.entries()]
+    .map(([char, count]) => ({
+        char,
+        codePoint: toCodePoint(char),
+        count
+    }))
+    .sort((a, b) => b.count - a.count);
+
+const resetUnmappedCharacters = () => unmappedCharacters.clear();
+
+module.exports = {
+    TRANSLITERATIONS,
+    transliterate,
+    reportUnmapped,
+    getUnmappedCharacters,
+    resetUnmappedCharacters
+};
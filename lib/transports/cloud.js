@@ -0,0 +1,57 @@
+﻿// transports/cloud.js - Vestaboard cloud Read/Write API (one board per read/write key)
+//
+// POST a grid (or { text }) to the API and GET { currentMessage: { id, layout } } back, where
+// layout is the grid as a JSON string. VESTABOARD_API_URL points it somewhere else, e.g. at the
+// mock board (npm run mock).
+const axios = require('axios');
+
+const VESTABOARD_API_URL = 'https://rw.vestaboard.com/';
+
+const getApiUrl = () => process.env.VESTABOARD_API_URL || VESTABOARD_API_URL;
+
+const getRequestHeaders = ({ readWriteKey } = {}) => ({
+    'Content-Type': 'application/json',
+    'X-Vestaboard-Read-Write-Key': readWriteKey || process.env.VESTABOARD_READ_WRITE_KEY
+});
+
+const postCharacters = async (characters, options) => {
+    const response = await axios.post(getApiUrl(), characters, {
+        headers: getRequestHeaders(options)
+    });
+    return response.data;
+};
+
+const postText = async (text, options) => {
+    const response = await axios.post(getApiUrl(), { text }, {
+        headers: getRequestHeaders(options)
+    });
+    return response.data;
+};
+
+const readCharacters = async (options) => {
+    const response = await axios.get(getApiUrl(), {
+        headers: getRequestHeaders(options)
+    });
+
+    const message = response.data && response.data.currentMessage;
+    if (!message || !message.layout) {
+        throw new Error('Vestaboard returned no current message');
+    }
+
+    return {
+        id: message.id || null,
+        characters: typeof message.layout === 'string' ? JSON.parse(message.layout) : message.layout
+    };
+};
+
+module.exports = {
+    VESTABOARD_API_URL,
+    getApiUrl,
+    transport: {
+        name: 'cloud',
+        settings: { readWriteKey: 'VESTABOARD_READ_WRITE_KEY' },
+        postCharacters,
+        postText,
+        readCharacters
+    }
+};
@@ -0,0 +1,42 @@
+﻿// transports/index.js - How boards reach the Vestaboard (VESTABOARD_TRANSPORT=cloud|local|subscription)
+//
+// Every transport implements:
+//   name, settings                          -> { option: environment variable } it cannot work
+//                                              without; options win over the environment
+//   postCharacters(characters, options)     -> API response body; 6x22 grids only
+//   postText(text, options)                 -> optional; text is laid out locally when missing
+//   readCharacters(options)                 -> optional; { id, characters } on the board now
+// Validation and the rate limit stay in lib/vestaboard.js, in front of every transport.
+const cloud = require('./cloud');
+const local = require('./local');
+const subscription = require('./subscription');
+
+const TRANSPORTS = {
+    cloud: cloud.transport,
+    local: local.transport,
+    subscription: subscription.transport
+};
+
+const getTransportName = () => process.env.VESTABOARD_TRANSPORT || 'cloud';
+
+// Transport selected by VESTABOARD_TRANSPORT
+const getTransport = (name = getTransportName()) => {
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown Vestaboard transport "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return TRANSPORTS[name];
+};
+
+// Settings the transport needs that are neither in options nor in the environment,
+// named by their environment variable
+const getMissingSettings = (name = getTransportName(), options = {}) =>
+    Object.entries(getTransport(name).settings)
+        .filter(([option, variable]) => !options[option] && !process.env[variable])
+        .map(([option, variable]) => variable);
+
+module.exports = {
+    TRANSPORTS,
+    getTransportName,
+    getTransport,
+    getMissingSettings
+};
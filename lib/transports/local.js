@@ -0,0 +1,48 @@
+﻿// transports/local.js - Vestaboard Local API, straight to the board over the LAN
+//
+// Keeps working when the internet is down. Needs the board's address
+// (VESTABOARD_LOCAL_API_URL, e.g. http://192.168.1.50:7000) and the local API key issued when
+// the Local API was enabled (VESTABOARD_LOCAL_API_KEY). It only takes grids; text is laid out
+// by postTextToVestaboard before it gets here.
+const axios = require('axios');
+
+const LOCAL_API_PATH = '/local-api/message';
+
+const getMessageUrl = ({ localApiUrl } = {}) =>
+    `${(localApiUrl || process.env.VESTABOARD_LOCAL_API_URL || '').replace(/\/+$/, '')}${LOCAL_API_PATH}`;
+
+const getRequestHeaders = ({ localApiKey } = {}) => ({
+    'Content-Type': 'application/json',
+    'X-Vestaboard-Local-Api-Key': localApiKey || process.env.VESTABOARD_LOCAL_API_KEY
+});
+
+const postCharacters = async (characters, options) => {
+    const response = await axios.post(getMessageUrl(options), characters, {
+        headers: getRequestHeaders(options)
+    });
+    return response.data;
+};
+
+// The board answers with { message: grid } (older firmware sends the grid on its own)
+const readCharacters = async (options) => {
+    const response = await axios.get(getMessageUrl(options), {
+        headers: getRequestHeaders(options)
+    });
+
+    const layout = response.data && (response.data.message || response.data);
+    if (!Array.isArray(layout)) {
+        throw new Error('Vestaboard Local API returned no current message');
+    }
+
+    return { id: null, characters: layout };
+};
+
+module.exports = {
+    LOCAL_API_PATH,
+    transport: {
+        name: 'local',
+        settings: { localApiUrl: 'VESTABOARD_LOCAL_API_URL', localApiKey: 'VESTABOARD_LOCAL_API_KEY' },
+        postCharacters,
+        readCharacters
+    }
+};
@@ -0,0 +1,44 @@
+﻿// transports/subscription.js - Vestaboard Subscription (platform) API
+//
+// Posts to one subscription with an installable's API key and secret. The API takes
+// { characters } or { text } and cannot read the board back.
+const axios = require('axios');
+
+const SUBSCRIPTION_API_URL = 'https://platform.vestaboard.com/subscriptions';
+
+const getMessageUrl = ({ subscriptionId } = {}) =>
+    `${SUBSCRIPTION_API_URL}/${encodeURIComponent(subscriptionId || process.env.VESTABOARD_SUBSCRIPTION_ID)}/message`;
+
+const getRequestHeaders = ({ apiKey, apiSecret } = {}) => ({
+    'Content-Type': 'application/json',
+    'X-Vestaboard-Api-Key': apiKey || process.env.VESTABOARD_API_KEY,
+    'X-Vestaboard-Api-Secret': apiSecret || process.env.VESTABOARD_API_SECRET
+});
+
+const postCharacters = async (characters, options) => {
+    const response = await axios.post(getMessageUrl(options), { characters }, {
+        headers: getRequestHeaders(options)
+    });
+    return response.data;
+};
+
+const postText = async (text, options) => {
+    const response = await axios.post(getMessageUrl(options), { text }, {
+        headers: getRequestHeaders(options)
+    });
+    return response.data;
+};
+
+module.exports = {
+    SUBSCRIPTION_API_URL,
+    transport: {
+        name: 'subscription',
+        settings: {
+            subscriptionId: 'VESTABOARD_SUBSCRIPTION_ID',
+            apiKey: 'VESTABOARD_API_KEY',
+            apiSecret: 'VESTABOARD_API_SECRET'
+        },
+        postCharacters,
+        postText
+    }
+};
@@ -0,0 +1,391 @@
+﻿// vestaboard.js - Shared board rendering and posting helpers used by index.js and server.js
+//
+// A board message is a grid of BOARD_ROWS rows, each BOARD_COLUMNS character codes long.
+// Build rows with formatLine/createStylizedHeader/createColorRow, check the grid with
+// validateGrid (strict) or ensureValidGrid (pads and repairs), then send it with postToVestaboard,
+// which goes through the transport selected by VESTABOARD_TRANSPORT (see lib/transports).
+// readFromVestaboard reads the current board back and decodeGrid turns it into text and colours.
+const { transliterate, reportUnmapped } = require('./transliterate');
+const { getTransport } = require('./transports');
+const { DEFAULT_BOARD, recordPostedBoard, recordReadBoard } = require('./board');
+
+// Character codes for Vestaboard
+const VESTABOARD_CHARS = {
+    // Blank
+    BLANK: 0,
+
+    // Letters (uppercase only on Vestaboard)
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, J: 10,
+    K: 11, L: 12, M: 13, N: 14, O: 15, P: 16, Q: 17, R: 18, S: 19, T: 20,
+    U: 21, V: 22, W: 23, X: 24, Y: 25, Z: 26,
+
+    // Numbers
+    '1': 27, '2': 28, '3': 29, '4': 30, '5': 31, '6': 32,
+    '7': 33, '8': 34, '9': 35, '0': 36,
+
+    // Special characters
+    '!': 37, '@': 38, '#': 39, '$': 40, '(': 41, ')': 42,
+    '-': 44, '+': 46, '&': 47, '=': 48, ';': 49, ':': 50,
+    "'": 52, '"': 53, '%': 54, ',': 55, '.': 56, '/': 59,
+    '?': 60, '°': 62,
+
+    // Colors
+    RED: 63, ORANGE: 64, YELLOW: 65, GREEN: 66, BLUE: 67, VIOLET: 68,
+    WHITE: 69, BLACK: 70, FILLED: 71
+};
+
+// Text alignment options
+const ALIGN = {
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right'
+};
+
+// Board geometry
+const BOARD_ROWS = 6;
+const BOARD_COLUMNS = 22;
+const MAX_CHAR_CODE = 71;
+
+const RATE_LIMIT_DELAY = 16000; // 16 seconds to be safe (API requires 15 seconds)
+const lastApiCalls = new Map(); // Board name -> last post timestamp; each board has its own limit
+
+/**
+ * Wait until at least RATE_LIMIT_DELAY has passed since the previous post to the same board.
+ * @param {string} [name=DEFAULT_BOARD] - Board name (see lib/boards.js)
+ * @returns {Promise<void>}
+ */
+const enforceRateLimit = async (name = DEFAULT_BOARD) => {
+    // Claim the slot before waiting so concurrent posts to one board queue up behind each other
+    const now = Date.now();
+    const next = Math.max(now, (lastApiCalls.get(name) || 0) + RATE_LIMIT_DELAY);
+    lastApiCalls.set(name, next);
+
+    if (next > now) {
+        console.log(`Rate limiting${name === DEFAULT_BOARD ? '' : ` ${name}`}: waiting ${Math.ceil((next - now) / 1000)} seconds...`);
+        await new Promise(resolve => setTimeout(resolve, next - now));
+    }
+};
+
+/**
+ * Time left before the board may be posted to again, see enforceRateLimit.
+ * @param {string} [name=DEFAULT_BOARD] - Board name (see lib/boards.js)
+ * @returns {number} Milliseconds, 0 when a post can go now
+ */
+const getRateLimitWait = (name = DEFAULT_BOARD) =>
+    Math.max((lastApiCalls.get(name) || 0) + RATE_LIMIT_DELAY - Date.now(), 0);
+
+/**
+ * Encode text as Vestaboard character codes. Accented letters are transliterated
+ * (see lib/transliterate.js); characters that still have no code become blanks and are
+ * reported through getUnmappedCharacters().
+ * @param {string} text
+ * @returns {number[]}
+ */
+const textToCharCodes = (text) => {
+    const result = [];
+
+    for (const char of transliterate(text)) {
+        if (VESTABOARD_CHARS[char] !== undefined) {
+            result.push(VESTABOARD_CHARS[char]);
+        } else {
+            if (char !== ' ') {
+                reportUnmapped(char, text);
+            }
+            result.push(VESTABOARD_CHARS.BLANK);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Encode and pad (or truncate) text to a row of maxLength codes.
+ * @param {string} text
+ * @param {string} [alignment=ALIGN.LEFT] - One of ALIGN
+ * @param {number} [maxLength=BOARD_COLUMNS]
+ * @returns {number[]}
+ */
+const formatLine = (text, alignment = ALIGN.LEFT, maxLength = BOARD_COLUMNS) => {
+    const charCodes = textToCharCodes(text);
+
+    // Truncate if longer than maxLength
+    if (charCodes.length > maxLength) {
+        return charCodes.slice(0, maxLength);
+    }
+
+    const paddingSize = maxLength - charCodes.length;
+
+    if (alignment === ALIGN.RIGHT) {
+        return [...Array(paddingSize).fill(VESTABOARD_CHARS.BLANK), ...charCodes];
+    }
+
+    if (alignment === ALIGN.CENTER) {
+        const leftPadding = Math.floor(paddingSize / 2);
+        const rightPadding = paddingSize - leftPadding;
+        return [
+            ...Array(leftPadding).fill(VESTABOARD_CHARS.BLANK),
+            ...charCodes,
+            ...Array(rightPadding).fill(VESTABOARD_CHARS.BLANK)
+        ];
+    }
+
+    return [...charCodes, ...Array(paddingSize).fill(VESTABOARD_CHARS.BLANK)];
+};
+
+/**
+ * Row with text on the left and a value flush right, e.g. " 2 SIMMONS        +2:44".
+ * The left text is truncated so the right value always fits.
+ * @param {string} left
+ * @param {string} right
+ * @param {number} [maxLength=BOARD_COLUMNS]
+ * @returns {number[]}
+ */
+const formatSplitLine = (left, right, maxLength = BOARD_COLUMNS) => {
+    if (!right) {
+        return formatLine(left, ALIGN.LEFT, maxLength);
+    }
+
+    const leftLength = Math.max(maxLength - right.length - 1, 0);
+    return [
+        ...formatLine(left, ALIGN.LEFT, leftLength),
+        ...formatLine(right, ALIGN.RIGHT, maxLength - leftLength)
+    ];
+};
+
+/**
+ * Centered header row framed by two colour tiles on each side.
+ * @param {string} text - Truncated to 18 characters
+ * @param {number} [colorCode=VESTABOARD_CHARS.YELLOW]
+ * @returns {number[]}
+ */
+const createStylizedHeader = (text, colorCode = VESTABOARD_CHARS.YELLOW) => {
+    // 22 - 4 for color blocks (2 on each side)
+    const body = formatLine(text, ALIGN.CENTER, BOARD_COLUMNS - 4);
+    return [colorCode, colorCode, ...body, colorCode, colorCode];
+};
+
+/**
+ * Row starting with the given colour tiles followed by left-aligned text,
+ * and optionally a value flush right (see formatSplitLine).
+ * @param {number[]} colors - Leading tile codes, e.g. [YELLOW, YELLOW]
+ * @param {string} text
+ * @param {string} [right]
+ * @returns {number[]}
+ */
+const createColorRow = (colors, text, right) => [
+    ...colors,
+    ...formatSplitLine(text, right, BOARD_COLUMNS - colors.length)
+].slice(0, BOARD_COLUMNS);
+
+/**
+ * Row of a single repeated code (blank by default).
+ * @param {number} [code=VESTABOARD_CHARS.BLANK]
+ * @returns {number[]}
+ */
+const createFilledRow = (code = VESTABOARD_CHARS.BLANK) => Array(BOARD_COLUMNS).fill(code);
+
+/**
+ * Strictly check a grid: exactly 6 rows of 22 integer codes in 0-71.
+ * @param {number[][]} characters
+ * @returns {string[]} Problems found; empty when the grid is valid
+ */
+const validateGrid = (characters) => {
+    if (!Array.isArray(characters)) {
+        return ['Characters must be an array'];
+    }
+
+    if (characters.length !== BOARD_ROWS) {
+        return [`Characters array must have exactly ${BOARD_ROWS} rows, found ${characters.length}`];
+    }
+
+    const errors = [];
+    characters.forEach((row, i) => {
+        if (!Array.isArray(row)) {
+            errors.push(`Row ${i} must be an array`);
+            return;
+        }
+
+        if (row.length !== BOARD_COLUMNS) {
+            errors.push(`Row ${i} must have exactly ${BOARD_COLUMNS} characters, found ${row.length}`);
+        }
+
+        row.forEach((code, j) => {
+            if (!Number.isInteger(code) || code < 0 || code > MAX_CHAR_CODE) {
+                errors.push(`Invalid character code at position [${i}][${j}]: ${code}`);
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Repair a grid into a valid 6x22 one: pad/truncate rows and blank out invalid codes.
+ * @param {number[][]} grid
+ * @returns {number[][]} A new grid
+ */
+const ensureValidGrid = (grid) => {
+    const result = [];
+
+    for (let i = 0; i < BOARD_ROWS; i++) {
+        const row = Array.isArray(grid) && Array.isArray(grid[i]) ? grid[i].slice(0, BOARD_COLUMNS) : [];
+
+        while (row.length < BOARD_COLUMNS) {
+            row.push(VESTABOARD_CHARS.BLANK);
+        }
+
+        for (let j = 0; j < row.length; j++) {
+            const code = row[j];
+            if (!Number.isInteger(code) || code < 0 || code > MAX_CHAR_CODE) {
+                console.warn(`Invalid character code at position [${i}][${j}]: ${code}, replacing with BLANK`);
+                row[j] = VESTABOARD_CHARS.BLANK;
+            }
+        }
+
+        result.push(row);
+    }
+
+    return result;
+};
+
+// Character code -> character or colour name, the reverse of VESTABOARD_CHARS
+const CHAR_NAMES = Object.entries(VESTABOARD_CHARS).reduce((names, [name, code]) => {
+    names[code] = name;
+    return names;
+}, {});
+
+/**
+ * Decode a grid back to text and colours. Colour tiles read as spaces in the text and are
+ * listed with their position; unknown codes read as spaces.
+ * @param {number[][]} characters
+ * @returns {{ text: string[], colors: { row: number, column: number, color: string }[] }}
+ */
+const decodeGrid = (characters) => {
+    const colors = [];
+    const text = characters.map((row, i) => row.map((code, j) => {
+        const name = CHAR_NAMES[code];
+        if (code >= VESTABOARD_CHARS.RED) {
+            colors.push({ row: i, column: j, color: name });
+            return ' ';
+        }
+        return name && name.length === 1 ? name : ' ';
+    }).join(''));
+
+    return { text, colors };
+};
+
+/**
+ * Lay text out as a grid: words wrapped to the board width, each line centred, the block
+ * centred vertically. Used for transports that only take grids (see lib/transports).
+ * @param {string} text
+ * @returns {number[][]}
+ */
+const layoutText = (text) => {
+    const lines = [];
+    transliterate(text).split(/\s+/).filter(Boolean).forEach((word) => {
+        const line = lines[lines.length - 1];
+        if (line !== undefined && `${line} ${word}`.length <= BOARD_COLUMNS) {
+            lines[lines.length - 1] = `${line} ${word}`;
+        } else {
+            lines.push(word.slice(0, BOARD_COLUMNS));
+        }
+    });
+
+    const visible = lines.slice(0, BOARD_ROWS);
+    const top = Math.floor((BOARD_ROWS - visible.length) / 2);
+    return Array.from({ length: BOARD_ROWS }, (unused, i) => formatLine(visible[i - top] || '', ALIGN.CENTER));
+};
+
+/**
+ * Post a validated grid through the selected transport, respecting the rate limit.
+ * A 304 (content unchanged) resolves to { status: 'not_modified' }; other failures throw.
+ * @param {number[][]} characters - 6x22 grid
+ * @param {object} [options] - A board from lib/boards.js, or transport settings such as
+ *     { readWriteKey } for the cloud API
+ * @param {string} [options.name=DEFAULT_BOARD] - Board name; each board has its own rate limit
+ * @param {string} [options.transport] - Transport name, defaults to VESTABOARD_TRANSPORT
+ * @returns {Promise<object>} API response body
+ */
+const postToVestaboard = async (characters, { name = DEFAULT_BOARD, transport, ...options } = {}) => {
+    const errors = validateGrid(characters);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        throw new Error(`Invalid board grid: ${errors[0]}`);
+    }
+
+    const selected = getTransport(transport);
+    await enforceRateLimit(name);
+
+    try {
+        const result = await selected.postCharacters(characters, options);
+        recordPostedBoard({ characters }, name);
+        return result;
+    } catch (error) {
+        if (error.response && error.response.status === 304) {
+            console.log('Message not modified (304) - this means the API is working but content is the same');
+            recordPostedBoard({ characters }, name);
+            return { status: 'not_modified', message: 'Content unchanged' };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Post plain text (transliterated), respecting the rate limit. The API lays it out where the
+ * transport supports text; otherwise it is laid out here with layoutText and sent as a grid.
+ * @param {string} text
+ * @param {object} [options] - Same as postToVestaboard
+ * @returns {Promise<object>} API response body
+ */
+const postTextToVestaboard = async (text, { name = DEFAULT_BOARD, transport, ...options } = {}) => {
+    const selected = getTransport(transport);
+    if (!selected.postText) {
+        return postToVestaboard(layoutText(text), { name, transport, ...options });
+    }
+
+    await enforceRateLimit(name);
+
+    const result = await selected.postText(transliterate(text), options);
+    recordPostedBoard({ text }, name);
+    return result;
+};
+
+/**
+ * Read the message currently on the board and keep it in board-state.json (see lib/board.js).
+ * Reads do not count against the posting rate limit.
+ * @param {object} [options] - Same as postToVestaboard
+ * @returns {Promise<object>} { id, characters, text, colors, readAt, ours }
+ */
+const readFromVestaboard = async ({ name = DEFAULT_BOARD, transport, ...options } = {}) => {
+    const selected = getTransport(transport);
+    if (!selected.readCharacters) {
+        throw new Error(`The ${selected.name} transport cannot read the board`);
+    }
+
+    const message = await selected.readCharacters(options);
+    const characters = ensureValidGrid(message.characters);
+    return recordReadBoard({ id: message.id, characters, ...decodeGrid(characters) }, name);
+};
+
+module.exports = {
+    VESTABOARD_CHARS,
+    ALIGN,
+    BOARD_ROWS,
+    BOARD_COLUMNS,
+    RATE_LIMIT_DELAY,
+    enforceRateLimit,
+    getRateLimitWait,
+    textToCharCodes,
+    decodeGrid,
+    layoutText,
+    formatLine,
+    formatSplitLine,
+    createStylizedHeader,
+    createColorRow,
+    createFilledRow,
+    validateGrid,
+    ensureValidGrid,
+    postToVestaboard,
+    postTextToVestaboard,
+    readFromVestaboard
+};
@@ -0,0 +1,245 @@
+﻿// views.js - Board views built from stage data, shared by the web server and the cron worker
+//
+// Every view takes a context { race, stageNumber, data, stageInfo, live, watchlist, previousStage,
+// onThisDay } where data is the getStageData() snapshot ({ stageResults, gcResults, jerseys }),
+// stageInfo the calendar entry for the stage, live the in-race snapshot from lib/live.js,
+// watchlist the riders and teams from lib/watchlist.js, previousStage the archived stage before
+// this one and onThisDay the same day in earlier editions (see lib/archive.js).
+// renderView() returns one or more boards: [{ name, characters }].
+//
+// Most views are templates (templates/*.json, see lib/templates.js) rendered against
+// buildTemplateData(context); the live board, which wraps a variable list of names, stays in code.
+const {
+    VESTABOARD_CHARS,
+    BOARD_COLUMNS,
+    formatLine,
+    formatSplitLine,
+    createStylizedHeader,
+    createColorRow,
+    createFilledRow,
+    ensureValidGrid
+} = require('./vestaboard');
+const { formatGap, formatTime, getFinishers } = require('./results');
+const { getLatestPassage } = require('./live');
+const { isWatched } = require('./watchlist');
+const { shortenName, createNameFormatter } = require('./names');
+const { loadTemplates, renderTemplate } = require('./templates');
+
+// Tile marking a watched rider or team in the stage/GC views ({item.watchTiles} in templates)
+const WATCHED_COLOR = VESTABOARD_CHARS.VIOLET;
+
+// Rider's surname, shortened to fit maxLength (see lib/names.js)
+const formatRiderName = (name, maxLength = BOARD_COLUMNS) => shortenName(name, maxLength);
+
+// Name formatter for a stage snapshot: adds initials where surnames collide in the race
+const getNameFormatter = ({ stageResults = [], gcResults = [] } = {}) =>
+    createNameFormatter([...stageResults, ...gcResults].map(result => result.rider));
+
+// Columns left for a name after its prefix/suffix, colour tiles and a right-hand value
+const nameWidth = (text, right = '', tiles = 0) =>
+    BOARD_COLUMNS - tiles - text.length - (right ? right.length + 1 : 0);
+
+const getTimestamp = () => {
+    const now = new Date();
+    return `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+};
+
+// Fill up to `rows` lines with words, ending in "+N" when some do not fit
+const wrapWords = (words, rows, width = BOARD_COLUMNS) => {
+    const lines = [''];
+    let placed = 0;
+
+    for (const word of words) {
+        const line = lines[lines.length - 1];
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length <= width) {
+            lines[lines.length - 1] = candidate;
+        } else if (lines.length < rows) {
+            lines.push(word);
+        } else {
+            break;
+        }
+        placed++;
+    }
+
+    const remaining = words.length - placed;
+    if (remaining > 0) {
+        const suffix = ` +${remaining}`;
+        const last = lines[lines.length - 1];
+        lines[lines.length - 1] = `${last.slice(0, width - suffix.length)}${suffix}`;
+    }
+
+    while (lines.length < rows) {
+        lines.push('');
+    }
+    return lines;
+};
+
+// In-race board: km to go, breakaway and its gap, latest sprint and KOM winners
+const createLiveView = (race, stageNumber, live) => {
+    if (!live) {
+        return [
+            createStylizedHeader(`LIVE STAGE ${stageNumber}`, race.headerColor),
+            formatLine('LIVE DATA PENDING', 'center'),
+            createFilledRow(),
+            createFilledRow(),
+            createFilledRow(),
+            formatLine(`TIME: ${getTimestamp()}`, 'right')
+        ];
+    }
+
+    const breakaway = live.breakaway;
+    const formatName = createNameFormatter(breakaway ? breakaway.riders : []);
+    const riders = breakaway ? wrapWords(breakaway.riders.map(rider => formatName(rider, 10)), 2) : ['PELOTON TOGETHER', ''];
+    const sprint = getLatestPassage(live.sprints);
+    const climb = getLatestPassage(live.climbs);
+
+    // Latest sprint/KOM winner in the jersey's colours, with the passage type on the right
+    const passageRow = (jersey, winner, label) => {
+        const colors = race.jerseys[jersey].colors;
+        return createColorRow(colors, ` ${formatRiderName(winner, nameWidth(' ', label, colors.length))}`, label);
+    };
+
+    return [
+        createStylizedHeader(live.kmToGo !== null ? `S${stageNumber} ${live.kmToGo} KM` : `LIVE STAGE ${stageNumber}`, race.headerColor),
+        breakaway
+            ? formatSplitLine(`BREAK OF ${breakaway.riders.length}`, formatGap(breakaway.gap))
+            : formatLine('NO BREAKAWAY', 'left'),
+        ...riders.map(line => formatLine(line, 'left')),
+        sprint
+            ? passageRow('points', sprint.winner, 'SPR')
+            : formatLine(`TIME: ${getTimestamp()}`, 'right'),
+        climb
+            ? passageRow('mountains', climb.winner, climb.category ? `KOM ${climb.category}` : 'KOM')
+            : createFilledRow()
+    ];
+};
+
+// Watched riders, plus the best placed GC rider of each watched team, in GC order
+const getMyRiders = ({ stageResults, gcResults }, watchlist) => {
+    const riders = new Set();
+    const watchedRiders = { riders: watchlist.riders, teams: [] };
+
+    [...gcResults, ...stageResults].forEach((result) => {
+        if (isWatched(result, watchedRiders)) {
+            riders.add(result.rider);
+        }
+    });
+
+    watchlist.teams.forEach((team) => {
+        const best = getFinishers(gcResults).find(result => isWatched(result, { riders: [], teams: [team] }));
+        if (best) {
+            riders.add(best.rider);
+        }
+    });
+
+    const gcPosition = rider => (gcResults.find(result => result.rider === rider) || {}).position || Infinity;
+    return [...riders].sort((a, b) => gcPosition(a) - gcPosition(b));
+};
+
+// Stage place, GC place and GC gap of a rider: "S8 G2 +0:01"
+const describePlaces = ({ stageResults, gcResults }, rider) => {
+    const place = (results) => {
+        const result = results.find(entry => entry.rider === rider);
+        if (!result) {
+            return '-';
+        }
+        return result.position ? result.position.toString() : result.status;
+    };
+
+    const gcResult = gcResults.find(result => result.rider === rider);
+    const gap = gcResult && gcResult.gap > 0 ? formatGap(gcResult.gap) : '';
+    return `S${place(stageResults)} G${place(gcResults)}${gap ? ` ${gap}` : ''}`;
+};
+
+// Values the templates bind to: stage and gc are finishers with watched/leader flags and a
+// margin (winner's time, then gaps), jerseyList the race's jerseys merged with their holders,
+// previousStage the same for the stage before this one (empty lists when it is not archived)
+const buildTemplateData = ({ race, stageNumber, data, stageInfo, live, watchlist, previousStage, onThisDay = [] } = {}) => {
+    const { stageResults = [], gcResults = [], jerseys = null } = data || {};
+    const decorate = (result) => {
+        const watched = isWatched(result, watchlist);
+        return {
+            ...result,
+            leader: result.position === 1,
+            watched,
+            watchTiles: watched ? [WATCHED_COLOR] : [],
+            margin: result.gap > 0 ? formatGap(result.gap) : result.time ? formatTime(result.time) : ''
+        };
+    };
+
+    return {
+        race,
+        stageNumber,
+        stageInfo,
+        live,
+        time: getTimestamp(),
+        clock: new Date().toISOString().slice(11, 19),
+        stage: getFinishers(stageResults).map(decorate),
+        gc: getFinishers(gcResults).map(decorate),
+        jerseys: jerseys || {},
+        jerseyList: race
+            ? Object.keys(race.jerseys)
+                .filter(key => jerseys && jerseys[key])
+                .map(key => ({ key, ...race.jerseys[key], ...jerseys[key] }))
+            : [],
+        myRiders: watchlist
+            ? getMyRiders({ stageResults, gcResults }, watchlist)
+                .map(rider => ({ rider, places: describePlaces({ stageResults, gcResults }, rider) }))
+            : [],
+        previousStage: stageNumber > 1
+            ? {
+                stageNumber: stageNumber - 1,
+                stageInfo: previousStage ? previousStage.stageInfo : null,
+                stage: previousStage ? getFinishers(previousStage.stageResults).map(decorate) : [],
+                gc: previousStage ? getFinishers(previousStage.gcResults || []).map(decorate) : []
+            }
+            : null,
+        onThisDay
+    };
+};
+
+// Views written in code rather than as templates: view name -> (context) => list of grids
+const VIEWS = {
+    live: ({ race, stageNumber, live }) => [createLiveView(race, stageNumber, live)]
+};
+
+// Every view name: the code views plus the bundled and TEMPLATES_DIR templates
+const getViewNames = () => [...Object.keys(loadTemplates()), ...Object.keys(VIEWS)];
+
+const isViewName = viewName => getViewNames().includes(viewName);
+
+// Render a view to validated boards; throws for a view that does not exist
+const renderView = (viewName, context = {}) => {
+    const templates = loadTemplates();
+    const isCodeView = Object.prototype.hasOwnProperty.call(VIEWS, viewName);
+    if (!isCodeView && !Object.prototype.hasOwnProperty.call(templates, viewName)) {
+        throw new Error(`Unknown view: ${viewName} (expected one of: ${[...Object.keys(templates), ...Object.keys(VIEWS)].join(', ')})`);
+    }
+
+    const grids = isCodeView
+        ? VIEWS[viewName](context).map(grid => ensureValidGrid(grid))
+        : renderTemplate(templates[viewName], buildTemplateData(context), { formatName: getNameFormatter(context.data) });
+
+    return grids.map((grid, i) => ({
+        name: grids.length > 1 ? `${viewName} ${i + 1}/${grids.length}` : viewName,
+        characters: grid
+    }));
+};
+
+// Render a list of views into one flat board sequence
+const renderViews = (viewNames, context) => viewNames.reduce(
+    (boards, viewName) => boards.concat(renderView(viewName, context)),
+    []
+);
+
+module.exports = {
+    VIEWS,
+    formatRiderName,
+    buildTemplateData,
+    createLiveView,
+    getViewNames,
+    isViewName,
+    renderView,
+    renderViews
+};
@@ -0,0 +1,96 @@
+﻿// watchlist.js - Riders and teams the team follows, persisted in watchlist.json
+//
+// Names are matched on whole words, ignoring case, accents and word order: every word of the
+// watched name must be a word of the rider or team, so "pogacar" matches "POGAČAR Tadej" and
+// "visma" matches "Team Visma | Lease a Bike", but "van" or "yat" match nobody. Surname
+// particles alone ("van", "de") are not enough to match.
+const fs = require('fs');
+const path = require('path');
+const { SURNAME_PARTICLES } = require('./results');
+
+const WATCHLIST_PATH = path.join(__dirname, '..', 'watchlist.json');
+
+const WATCHLIST_TYPES = {
+    rider: 'riders',
+    team: 'teams'
+};
+
+// Lowercase without accents, for matching
+const normalizeName = name => (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+// Words of a name, normalized, without punctuation such as "|" or hyphens
+const getNameWords = name => normalizeName(name).split(/[^a-z0-9]+/).filter(Boolean);
+
+const matchesName = (name, watchedNames) => {
+    const words = getNameWords(name);
+    return words.length > 0 && watchedNames.some((watched) => {
+        const watchedWords = getNameWords(watched);
+        return watchedWords.some(word => !SURNAME_PARTICLES.includes(word)) &&
+            watchedWords.every(word => words.includes(word));
+    });
+};
+
+// Load the watchlist: { riders: [...], teams: [...] }
+const loadWatchlist = () => {
+    try {
+        if (fs.existsSync(WATCHLIST_PATH)) {
+            const watchlist = JSON.parse(fs.readFileSync(WATCHLIST_PATH, 'utf8'));
+            return { riders: watchlist.riders || [], teams: watchlist.teams || [] };
+        }
+    } catch (error) {
+        console.error('Error loading watchlist:', error.message);
+    }
+    return { riders: [], teams: [] };
+};
+
+const saveWatchlist = (watchlist) => {
+    fs.writeFileSync(WATCHLIST_PATH, JSON.stringify(watchlist, null, 2));
+    return watchlist;
+};
+
+// Add a rider or team (type 'rider' | 'team'); duplicates are ignored
+const addToWatchlist = (type, name) => {
+    const key = WATCHLIST_TYPES[type];
+    const value = (name || '').trim();
+    if (!key || !value) {
+        throw new Error('Watchlist entries need a type (rider or team) and a name');
+    }
+
+    const watchlist = loadWatchlist();
+    if (!watchlist[key].some(entry => normalizeName(entry) === normalizeName(value))) {
+        watchlist[key].push(value);
+    }
+    return saveWatchlist(watchlist);
+};
+
+const removeFromWatchlist = (type, name) => {
+    const key = WATCHLIST_TYPES[type];
+    if (!key) {
+        throw new Error('Watchlist entries need a type (rider or team) and a name');
+    }
+
+    const watchlist = loadWatchlist();
+    watchlist[key] = watchlist[key].filter(entry => normalizeName(entry) !== normalizeName(name));
+    return saveWatchlist(watchlist);
+};
+
+// Whether a result row's rider or team is on the watchlist
+const isWatched = (result, watchlist) => Boolean(watchlist && result) && (
+    matchesName(result.rider, watchlist.riders) || matchesName(result.team, watchlist.teams)
+);
+
+module.exports = {
+    WATCHLIST_PATH,
+    WATCHLIST_TYPES,
+    normalizeName,
+    matchesName,
+    loadWatchlist,
+    saveWatchlist,
+    addToWatchlist,
+    removeFromWatchlist,
+    isWatched
+};
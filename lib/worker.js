@@ -0,0 +1,138 @@
+﻿// worker.js - What the cron worker (index.js) is doing, and commands for it from the web panel
+//
+// The rotation and live mode run in the cron worker only. It publishes their status in
+// worker-state.json, and the web server reads that file instead of keeping its own instances:
+//   { pid, updatedAt, rotation: { state, ... }, live: { running, ... },
+//     applying: { id, action, startedAt } | null, appliedCommands: [{ id, error }] }
+// The web server asks the worker to start, pause, resume or stop the rotation by adding a command
+// to worker-command.json under its lock (see lib/lock.js), so commands sent close together are
+// all kept:
+//   { commands: [{ id, action, race, year, stageNumber, views, requestedBy, sentAt }] }
+// The worker applies the commands in the order they were sent, each once, and lists the ids it
+// applied (most recent first) so the server can tell which of them went through. Both files are
+// written through a temporary file and a rename.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withFileLock } = require('./lock');
+
+const WORKER_STATE_PATH = path.join(__dirname, '..', 'worker-state.json');
+const WORKER_COMMAND_PATH = path.join(__dirname, '..', 'worker-command.json');
+const COMMAND_POLL_INTERVAL = 1000;
+const STATE_PUBLISH_INTERVAL = 5000; // The worker also publishes when it starts and ends a command
+const COMMAND_PICKUP_TIMEOUT = 10000; // How long the web server waits for the worker to take a command up
+const COMMAND_APPLY_TIMEOUT = 60000; // ...and then for it to finish (a start fetches results first)
+const COMMAND_EXPIRY = 5 * 60 * 1000; // Commands older than this are dropped from the file
+const APPLIED_COMMANDS_KEPT = 20;
+
+const WORKER_COMMANDS = ['start', 'pause', 'resume', 'stop'];
+
+const readJSON = (filePath, description) => {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error loading ${description}:`, error.message);
+    }
+    return null;
+};
+
+const writeJSON = (filePath, value, description) => {
+    try {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        console.error(`Error saving ${description}:`, error.message);
+    }
+};
+
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0); // Signal 0 only checks that the process exists
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+// The worker's last published state, or null when no worker is running
+const loadWorkerState = () => {
+    const state = readJSON(WORKER_STATE_PATH, 'worker state');
+    return state && state.pid && isRunning(state.pid) ? state : null;
+};
+
+// Publish the worker's state (called by the worker)
+const saveWorkerState = (state) => {
+    writeJSON(WORKER_STATE_PATH, { pid: process.pid, updatedAt: new Date().toISOString(), ...state }, 'worker state');
+};
+
+const loadCommands = () => {
+    const file = readJSON(WORKER_COMMAND_PATH, 'worker commands');
+    return file && Array.isArray(file.commands) ? file.commands : [];
+};
+
+// The oldest command the worker has not applied yet (isApplied(id) tells), or null.
+// Commands sent before `since` (when the worker started) were meant for an earlier run.
+const takeWorkerCommand = (isApplied, since) => loadCommands().find(command => !isApplied(command.id) &&
+    WORKER_COMMANDS.includes(command.action) && Date.parse(command.sentAt) >= since) || null;
+
+const workerError = (message, code) => Object.assign(new Error(message), { code });
+
+// Send a command to the worker and wait for it to be applied; resolves with the worker's state
+// afterwards. Rejects with code NO_WORKER when no worker is running, and WORKER_BUSY when it is
+// running but has not applied the command in time (it still will, once it gets to it).
+const sendWorkerCommand = async (command) => {
+    if (!loadWorkerState()) {
+        throw workerError('The cron worker (npm start) is not running', 'NO_WORKER');
+    }
+
+    const id = crypto.randomUUID();
+    const sentAt = Date.now();
+    withFileLock(WORKER_COMMAND_PATH, () => {
+        const commands = loadCommands().filter(entry => Date.parse(entry.sentAt) > sentAt - COMMAND_EXPIRY);
+        commands.push({ id, ...command, sentAt: new Date(sentAt).toISOString() });
+        writeJSON(WORKER_COMMAND_PATH, { commands }, 'worker commands');
+    });
+
+    let deadline = sentAt + COMMAND_PICKUP_TIMEOUT;
+    let state = null;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, COMMAND_POLL_INTERVAL / 4));
+        state = loadWorkerState();
+        if (!state) {
+            throw workerError('The cron worker stopped before applying the command', 'NO_WORKER');
+        }
+
+        const applied = (state.appliedCommands || []).find(entry => entry.id === id);
+        if (applied) {
+            if (applied.error) {
+                throw new Error(applied.error);
+            }
+            return state;
+        }
+
+        if (state.applying && state.applying.id === id) {
+            deadline = Math.max(deadline, Date.parse(state.applying.startedAt) + COMMAND_APPLY_TIMEOUT);
+        }
+    }
+
+    const busyWith = state && state.applying && state.applying.id !== id ? state.applying.action : null;
+    throw workerError(busyWith
+        ? `The cron worker is still busy with a rotation ${busyWith}; it will apply this command afterwards`
+        : 'The cron worker has not applied the command yet; it will once it gets to it', 'WORKER_BUSY');
+};
+
+module.exports = {
+    WORKER_STATE_PATH,
+    WORKER_COMMAND_PATH,
+    COMMAND_POLL_INTERVAL,
+    STATE_PUBLISH_INTERVAL,
+    APPLIED_COMMANDS_KEPT,
+    WORKER_COMMANDS,
+    loadWorkerState,
+    saveWorkerState,
+    takeWorkerCommand,
+    sendWorkerCommand
+};
@@ -0,0 +1,151 @@
+﻿// Mock Vestaboard for offline development: the cloud Read/Write API and the Local API on one port
+//
+// Point the app at it with VESTABOARD_API_URL=http://localhost:7070/ (cloud transport) or
+// VESTABOARD_LOCAL_API_URL=http://localhost:7070 (local transport); any non-empty key is accepted.
+// Like the real board it answers 503 to posts less than 15 seconds apart, 304 to the board it is
+// already showing and 400 to grids that are not 6x22 codes in 0-71. Every board it shows is
+// drawn in the console and kept in a history at GET /history.
+const express = require('express');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { VESTABOARD_CHARS, validateGrid, decodeGrid, layoutText } = require('./lib/vestaboard');
+
+const PORT = parseInt(process.env.MOCK_VESTABOARD_PORT, 10) || 7070;
+const MOCK_RATE_LIMIT = 15000; // The real API's limit; the app waits RATE_LIMIT_DELAY (16s)
+const HISTORY_LENGTH = 50;
+
+// ANSI backgrounds for the colour tiles (plain characters with NO_COLOR)
+const TILE_STYLES = {
+    [VESTABOARD_CHARS.RED]: ['41', 'R'],
+    [VESTABOARD_CHARS.ORANGE]: ['48;5;208', 'O'],
+    [VESTABOARD_CHARS.YELLOW]: ['43', 'Y'],
+    [VESTABOARD_CHARS.GREEN]: ['42', 'G'],
+    [VESTABOARD_CHARS.BLUE]: ['44', 'B'],
+    [VESTABOARD_CHARS.VIOLET]: ['45', 'V'],
+    [VESTABOARD_CHARS.WHITE]: ['47', 'W'],
+    [VESTABOARD_CHARS.BLACK]: ['40', 'K'],
+    [VESTABOARD_CHARS.FILLED]: ['47', '#']
+};
+
+// Board as console lines inside a frame
+const drawBoard = (characters) => {
+    const { text } = decodeGrid(characters);
+    const rows = characters.map((row, i) => row.map((code, j) => {
+        const style = TILE_STYLES[code];
+        if (!style) {
+            return text[i][j];
+        }
+        return process.env.NO_COLOR ? style[1] : `\x1b[${style[0]}m \x1b[0m`;
+    }).join(''));
+
+    const border = '─'.repeat(characters[0].length);
+    return [`┌${border}┐`, ...rows.map(row => `│${row}│`), `└${border}┘`];
+};
+
+/**
+ * Mock board as an express app.
+ * @param {object} [options]
+ * @param {number} [options.rateLimit=MOCK_RATE_LIMIT] - Minimum ms between accepted posts
+ * @param {boolean} [options.quiet=false] - Do not draw boards in the console
+ * @returns {import('express').Express} App with app.locals.history (newest first)
+ */
+const createMockVestaboard = ({ rateLimit = MOCK_RATE_LIMIT, quiet = false } = {}) => {
+    const app = express();
+    const history = [];
+    let lastPostAt = 0;
+    let nextId = 1;
+
+    app.use(express.json({ limit: '100kb' }));
+    app.locals.history = history;
+
+    const requireKey = header => (req, res, next) => {
+        if (!req.get(header)) {
+            return res.status(401).json({ error: `Missing ${header} header` });
+        }
+        next();
+    };
+
+    // Accept a grid or { text } / { characters } like the cloud, local and subscription APIs
+    const receive = (req, res) => {
+        const body = req.body;
+        const characters = Array.isArray(body)
+            ? body
+            : body && typeof body.text === 'string' ? layoutText(body.text) : body && body.characters;
+
+        const errors = validateGrid(characters);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid message', details: errors });
+        }
+
+        const now = Date.now();
+        if (now - lastPostAt < rateLimit) {
+            const wait = Math.ceil((rateLimit - (now - lastPostAt)) / 1000);
+            console.warn(`Mock Vestaboard: rate limited, ${wait}s before the next post`);
+            return res.status(503).json({ error: `Rate limited: one message every ${rateLimit / 1000} seconds` });
+        }
+
+        if (history.length > 0 && JSON.stringify(history[0].characters) === JSON.stringify(characters)) {
+            return res.status(304).end();
+        }
+
+        lastPostAt = now;
+        const message = { id: String(nextId++), created: new Date(now).toISOString(), characters };
+        history.unshift(message);
+        history.splice(HISTORY_LENGTH);
+
+        if (!quiet) {
+            console.log(`Mock Vestaboard: message ${message.id} at ${message.created}`);
+            drawBoard(characters).forEach(line => console.log(line));
+        }
+
+        res.json({ status: 'ok', id: message.id, created: message.created });
+    };
+
+    const current = () => history[0] || null;
+
+    // Cloud Read/Write API
+    app.post('/', requireKey('X-Vestaboard-Read-Write-Key'), receive);
+    app.get('/', requireKey('X-Vestaboard-Read-Write-Key'), (req, res) => {
+        const message = current();
+        res.json({
+            currentMessage: message ? { id: message.id, layout: JSON.stringify(message.characters) } : null
+        });
+    });
+
+    // Local API
+    app.post('/local-api/message', requireKey('X-Vestaboard-Local-Api-Key'), receive);
+    app.get('/local-api/message', requireKey('X-Vestaboard-Local-Api-Key'), (req, res) => {
+        const message = current();
+        res.json({ message: message ? message.characters : null });
+    });
+
+    // Everything the board has shown, newest first; DELETE clears it
+    app.get('/history', (req, res) => {
+        res.json(history.map(message => ({ ...message, text: decodeGrid(message.characters).text })));
+    });
+
+    app.delete('/history', (req, res) => {
+        history.length = 0;
+        lastPostAt = 0;
+        res.json({ success: true });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    createMockVestaboard().listen(PORT, () => {
+        console.log(`🧪 Mock Vestaboard running on http://localhost:${PORT}`);
+        console.log(`   Cloud API:  VESTABOARD_API_URL=http://localhost:${PORT}/`);
+        console.log(`   Local API:  VESTABOARD_TRANSPORT=local VESTABOARD_LOCAL_API_URL=http://localhost:${PORT}`);
+        console.log(`   History:    http://localhost:${PORT}/history`);
+    });
+}
+
+module.exports = {
+    MOCK_RATE_LIMIT,
+    createMockVestaboard,
+    drawBoard
+};
@@ -3,7 +3,6 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const dotenv = require('dotenv');
-const axios = require('axios');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
@@ -17,375 +16,614 @@ const HTTPS_PORT = process.env.HTTPS_PORT || 3443;
 const USE_HTTPS = process.env.USE_HTTPS === 'true';
 
 // Middleware
-app.use(cors());
+// CORS_ORIGIN (comma separated) limits which sites may call the API from a browser
+app.use(cors(process.env.CORS_ORIGIN ? { origin: process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) } : undefined));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Constants
-const VESTABOARD_API_URL = 'https://rw.vestaboard.com/';
-const READ_WRITE_KEY = process.env.VESTABOARD_READ_WRITE_KEY;
-const DATA_CACHE_PATH = path.join(__dirname, 'cache.json');
-const CACHE_DURATION = parseInt(process.env.CACHE_DURATION || '3600000', 10);
-const RATE_LIMIT_DELAY = 16000; // 16 seconds
-
-// Character codes for Vestaboard
-const VESTABOARD_CHARS = {
-    BLANK: 0,
-    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8, I: 9, J: 10,
-    K: 11, L: 12, M: 13, N: 14, O: 15, P: 16, Q: 17, R: 18, S: 19, T: 20,
-    U: 21, V: 22, W: 23, X: 24, Y: 25, Z: 26,
-    '1': 27, '2': 28, '3': 29, '4': 30, '5': 31, '6': 32,
-    '7': 33, '8': 34, '9': 35, '0': 36,
-    '!': 37, '@': 38, '#': 39, '$': 40, '(': 41, ')': 42,
-    '-': 44, '+': 46, '&': 47, '=': 48, ';': 49, ':': 50,
-    "'": 52, '"': 53, '%': 54, ',': 55, '.': 56, '/': 59,
-    '?': 60, '°': 62,
-    RED: 63, ORANGE: 64, YELLOW: 65, GREEN: 66, BLUE: 67, VIOLET: 68,
-    WHITE: 69, BLACK: 70, FILLED: 71
-};
+// Shared board rendering and cache helpers
+const { readFromVestaboard } = require('./lib/vestaboard');
+const { PRIORITY, POST_OUTCOME, enqueuePost, startQueue, loadQueue, cancelPost, retryDeadLetter, clearDeadLetters } = require('./lib/queue');
+const { loadBoardState } = require('./lib/board');
+const { getMissingSettings } = require('./lib/transports');
+const {
+    ROLES,
+    loadUsers,
+    isAuthEnabled,
+    login,
+    getLoginLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    logout,
+    getRequestToken,
+    getRequestUser,
+    requireRole
+} = require('./lib/auth');
+const { MAX_AUDIT_ENTRIES, recordAudit, loadAudit } = require('./lib/audit');
+const { loadBoards, getBoard, getPrimaryBoard, describeBoard } = require('./lib/boards');
+const { CACHE_VERSION, getCacheKey, getCacheEntry, listCacheEntries, clearCache } = require('./lib/cache');
+const { getCalendar, resolveStage, getStageInfo } = require('./lib/calendar');
+const { DEFAULT_RACE, getRace, getStageCount, listRaces } = require('./lib/races');
+const { getProvider, getProviderName } = require('./lib/providers');
+const { summarizeResults, detectChanges, loadLastPosted, loadPostHistory } = require('./lib/changes');
+const { getFinishers } = require('./lib/results');
+const { getUnmappedCharacters } = require('./lib/transliterate');
+const { loadWatchlist, addToWatchlist, removeFromWatchlist } = require('./lib/watchlist');
+const { getViewNames, isViewName, renderView } = require('./lib/views');
+const { loadArchivedStage, listArchive } = require('./lib/archive');
+const { ROTATION_STATE, getPlaylist } = require('./lib/playlist');
+const { loadWorkerState, sendWorkerCommand } = require('./lib/worker');
+const {
+    getCurrentDate,
+    buildViewContext,
+    refreshStageData,
+    fetchLiveRace,
+    importArchive
+} = require('./index');
+
+// Why a board cannot be posted to (unknown, or its transport is missing settings), or null
+const getBoardError = (board, name) => {
+    if (!board) {
+        return `Unknown board: ${name}`;
+    }
 
-// Rate limiting
-let lastApiCall = 0;
+    const missing = getMissingSettings(board.transport, board);
+    return missing.length > 0
+        ? `Vestaboard ${board.transport} transport not configured for board ${board.name} (missing ${missing.join(', ')})`
+        : null;
+};
 
-const enforceRateLimit = async () => {
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
+// Queue a panel post ahead of scheduled ones and answer once the first attempt is made:
+// 200 when it is on the board, 202 when the queue will retry it, 502 when it was given up on.
+// Every post goes into the audit trail with who asked for it.
+const sendPanelPost = async (req, res, message, target, label, successMessage) => {
+    const { status, result, entry } = await enqueuePost(message, {
+        board: target,
+        label,
+        priority: PRIORITY.HIGH,
+        requestedBy: req.user.name
+    }).attempted;
+    recordAudit(req.user, 'post', { board: target.name, view: label, status, error: entry.lastError || undefined });
+
+    if (status === POST_OUTCOME.POSTED) {
+        return res.json({ success: true, message: successMessage, result });
+    }
 
-    if (timeSinceLastCall < RATE_LIMIT_DELAY) {
-        const waitTime = RATE_LIMIT_DELAY - timeSinceLastCall;
-        console.log(`Rate limiting: waiting ${Math.ceil(waitTime / 1000)} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+    if (status === POST_OUTCOME.QUEUED) {
+        return res.status(202).json({
+            success: true,
+            queued: true,
+            message: `Queued for board ${target.name}, retrying at ${new Date(entry.nextAttemptAt).toLocaleTimeString()} (${entry.lastError})`,
+            entry
+        });
     }
 
-    lastApiCall = Date.now();
+    res.status(502).json({
+        error: status === POST_OUTCOME.DEAD ? 'The Vestaboard did not accept the post' : 'Replaced by a newer post',
+        details: entry.lastError
+    });
 };
 
-// Utility functions
-const textToCharCodes = (text) => {
-    const result = [];
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i].toUpperCase();
-        if (VESTABOARD_CHARS[char] !== undefined) {
-            result.push(VESTABOARD_CHARS[char]);
-        } else if (char === ' ') {
-            result.push(VESTABOARD_CHARS.BLANK);
-        } else {
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
+// Get current stage of a race and its calendar entry (CURRENT_STAGE overrides the calendar)
+const getCurrentStage = async (raceId) => {
+    const { year } = getCurrentDate();
+    const calendar = await getCalendar(year, raceId);
+    const current = resolveStage(calendar);
+
+    if (process.env.CURRENT_STAGE) {
+        const stageNumber = parseInt(process.env.CURRENT_STAGE, 10);
+        return { stageNumber, stage: getStageInfo(calendar, stageNumber), status: null, calendar };
     }
-    return result;
-};
 
-const formatLine = (text, alignment = 'left', maxLength = 22) => {
-    const charCodes = textToCharCodes(text);
+    return current ? { ...current, calendar } : { stageNumber: null, stage: null, status: null, calendar };
+};
 
-    if (charCodes.length > maxLength) {
-        return charCodes.slice(0, maxLength);
-    }
+// Why a view name cannot be rendered, or null
+const getViewError = viewName => (isViewName(viewName)
+    ? null
+    : `Unknown view: ${viewName} (expected one of: ${getViewNames().join(', ')})`);
 
-    const paddingSize = maxLength - charCodes.length;
-    const result = [...charCodes];
+// Requested stage, or the current one, checked against the race's stage count. The stage number
+// ends up in provider URLs, fixture paths, cache keys and archive files, so it must be a whole number.
+const resolveRequestedStage = async (race, stageNumber) => {
+    const current = await getCurrentStage(race.id);
+    const requested = stageNumber === undefined || stageNumber === null || stageNumber === '' ? null : Number(stageNumber);
+    const stage = requested === null ? current.stageNumber : requested;
 
-    if (alignment === 'right') {
-        for (let i = 0; i < paddingSize; i++) {
-            result.unshift(VESTABOARD_CHARS.BLANK);
-        }
-    } else if (alignment === 'center') {
-        const leftPadding = Math.floor(paddingSize / 2);
-        const rightPadding = paddingSize - leftPadding;
+    if (!stage && requested === null) {
+        return { current, error: 'Could not determine the current stage, please pass stageNumber' };
+    }
 
-        for (let i = 0; i < leftPadding; i++) {
-            result.unshift(VESTABOARD_CHARS.BLANK);
-        }
-        for (let i = 0; i < rightPadding; i++) {
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
-    } else {
-        for (let i = 0; i < paddingSize; i++) {
-            result.push(VESTABOARD_CHARS.BLANK);
-        }
+    const stageCount = getStageCount(race, current.calendar);
+    if (!Number.isInteger(stage) || stage < 1 || stage > stageCount) {
+        return { current, error: `Stage number must be a whole number between 1 and ${stageCount}` };
     }
 
-    return result;
+    return { current, stage };
 };
 
-const createStylizedHeader = (text, colorCode = VESTABOARD_CHARS.YELLOW) => {
-    const charCodes = textToCharCodes(text);
-    const maxTextLength = 18;
-
-    const truncatedCharCodes = charCodes.length > maxTextLength
-        ? charCodes.slice(0, maxTextLength)
-        : charCodes;
-
-    const paddingSize = maxTextLength - truncatedCharCodes.length;
-    const leftPadding = Math.floor(paddingSize / 2);
-    const rightPadding = paddingSize - leftPadding;
+// API Routes
 
-    const result = [colorCode, colorCode];
+// Serve the frontend
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
 
-    for (let i = 0; i < leftPadding; i++) {
-        result.push(VESTABOARD_CHARS.BLANK);
+// Sign in with a name and password from users.json; answers with a session token
+app.post('/api/login', (req, res) => {
+    const { name, password } = req.body;
+    const lockout = getLoginLockout(req.ip, name);
+    if (lockout > 0) {
+        res.set('Retry-After', String(Math.ceil(lockout / 1000)));
+        return res.status(429).json({ error: `Too many failed sign-ins, try again in ${Math.ceil(lockout / 60000)} minutes` });
     }
 
-    result.push(...truncatedCharCodes);
-
-    for (let i = 0; i < rightPadding; i++) {
-        result.push(VESTABOARD_CHARS.BLANK);
+    let session;
+    try {
+        session = name && password ? login(name, password) : null;
+    } catch (error) {
+        console.error('Login error:', error.message);
+        return res.status(503).json({ error: 'Sign-in is unavailable: the users file cannot be read' });
     }
 
-    result.push(colorCode, colorCode);
+    if (!session) {
+        recordAudit({ name: name || null, role: null }, 'login-failed', { ip: req.ip });
+        recordFailedLogin(req.ip, name);
+        // Slow down password guessing
+        return setTimeout(() => res.status(401).json({ error: 'Wrong name or password' }), 1000);
+    }
 
-    return result;
-};
+    clearFailedLogins(req.ip, name);
+    recordAudit(session, 'login', { ip: req.ip });
+    res.json({
+        success: true,
+        token: session.token,
+        user: { name: session.name, role: session.role },
+        expiresAt: new Date(session.expiresAt).toISOString()
+    });
+});
 
-// Load/save cache functions
-const loadDataFromCache = () => {
+app.post('/api/logout', (req, res) => {
+    // Drop the session even when the users file cannot be read to say whose it was
+    const token = getRequestToken(req);
     try {
-        if (fs.existsSync(DATA_CACHE_PATH)) {
-            const data = fs.readFileSync(DATA_CACHE_PATH, 'utf8');
-            return JSON.parse(data);
+        const user = getRequestUser(req);
+        if (user && isAuthEnabled()) {
+            recordAudit(user, 'logout');
         }
     } catch (error) {
-        console.error('Error loading cache:', error.message);
+        console.error('Logout error:', error.message);
     }
-    return null;
-};
+    logout(token);
+    res.json({ success: true });
+});
 
-const saveDataToCache = (data) => {
+// Who the panel is signed in as; user is null when the token is missing or expired
+app.get('/api/me', (req, res) => {
     try {
-        fs.writeFileSync(DATA_CACHE_PATH, JSON.stringify(data, null, 2));
-        console.log('Data saved to cache');
+        const user = getRequestUser(req);
+        res.json({ authEnabled: isAuthEnabled(), user: user ? { name: user.name, role: user.role } : null });
     } catch (error) {
-        console.error('Error saving cache:', error.message);
+        console.error('Session error:', error.message);
+        res.status(503).json({ authEnabled: true, user: null, error: 'Sign-in is unavailable: the users file cannot be read' });
     }
-};
+});
+
+// Everything else under /api needs at least a viewer; routes that change things ask for more
+app.use('/api', requireRole(ROLES.VIEWER));
+
+// Who posted and changed what, newest first (?user=, ?action=, ?limit= up to MAX_AUDIT_ENTRIES)
+app.get('/api/audit', requireRole(ROLES.ADMIN), (req, res) => {
+    const { user, action } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_AUDIT_ENTRIES);
+    res.json(loadAudit({ user, action, limit }));
+});
 
-// Post to Vestaboard function
-const postToVestaboard = async (characters) => {
+// Panel users and their roles, without passwords or tokens
+app.get('/api/users', requireRole(ROLES.ADMIN), (req, res) => {
+    res.json({
+        authEnabled: isAuthEnabled(),
+        users: loadUsers().map(user => ({ name: user.name, role: user.role, tokens: (user.tokens || []).map(token => token.label) }))
+    });
+});
+
+// Get system status
+app.get('/api/status', async (req, res) => {
     try {
-        await enforceRateLimit();
+        const race = getRace(req.query.race);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${req.query.race}` });
+        }
 
-        console.log('Posting to Vestaboard...');
+        const lastPost = loadLastPosted();
+        const queue = loadQueue();
+        const { stageNumber, stage, status, calendar } = await getCurrentStage(race.id);
+        const cached = stageNumber ? getCacheEntry(getCacheKey(race.id, getCurrentDate().year, stageNumber)) : null;
 
-        const response = await axios.post(VESTABOARD_API_URL, characters, {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Vestaboard-Read-Write-Key': READ_WRITE_KEY
-            }
+        res.json({
+            race: race.id,
+            raceName: race.name,
+            stageCount: getStageCount(race, calendar),
+            currentStage: stageNumber,
+            stageDate: stage ? stage.date : null,
+            stageInfo: stage,
+            raceStatus: status,
+            lastUpdate: cached ? new Date(cached.savedAt).toLocaleString() : 'Never',
+            cacheStatus: cached ? (Date.parse(cached.expiresAt) > Date.now() ? 'Valid' : 'Expired') : 'Empty',
+            lastPost: lastPost ? new Date(lastPost.postedAt).toLocaleString() : 'Never',
+            lastPostReasons: lastPost ? lastPost.reasons.map(reason => reason.message) : [],
+            queuedPosts: queue.pending.length,
+            deadLetters: queue.dead.length,
+            apiStatus: getBoardError(getPrimaryBoard()) || 'Configured',
+            transport: getPrimaryBoard().transport,
+            resultsProvider: getProviderName(),
+            unmappedCharacters: getUnmappedCharacters(),
+            protocol: USE_HTTPS ? 'HTTPS' : 'HTTP'
         });
 
-        console.log('Successfully posted to Vestaboard');
-        return response.data;
+    } catch (error) {
+        console.error('Status error:', error);
+        res.status(500).json({
+            error: 'Failed to get status',
+            details: error.message
+        });
+    }
+});
 
+// Boards posted by the cron worker and why each one was posted, newest first
+app.get('/api/posts', (req, res) => {
+    res.json(loadPostHistory());
+});
+
+// What is on the board now, read back from the Vestaboard; falls back to the last reading
+app.get('/api/board', async (req, res) => {
+    const target = getBoard(req.query.board);
+    const boardError = getBoardError(target, req.query.board);
+    if (boardError) {
+        return res.status(400).json({ error: boardError });
+    }
+
+    try {
+        const board = await readFromVestaboard(target);
+        res.json({ success: true, name: target.name, board, posted: loadBoardState(target.name).posted });
     } catch (error) {
-        console.error('Error posting to Vestaboard:', error.message);
+        console.error('Board read error:', error.message);
+        const { current, posted } = loadBoardState(target.name);
+        res.status(502).json({
+            error: 'Failed to read the Vestaboard',
+            details: error.message,
+            board: current,
+            posted
+        });
+    }
+});
 
-        if (error.response) {
-            console.error('Response status:', error.response.status);
-            console.error('Response data:', error.response.data);
+// Put our last posted board back, e.g. after someone else posted over it
+app.post('/api/board/restore', requireRole(ROLES.OPERATOR), async (req, res) => {
+    try {
+        const target = getBoard(req.body.board);
+        const boardError = getBoardError(target, req.body.board);
+        if (boardError) {
+            return res.status(400).json({ error: boardError });
+        }
 
-            if (error.response.status === 304) {
-                return { status: 'not_modified', message: 'Content unchanged' };
-            }
+        const { posted } = loadBoardState(target.name);
+        if (!posted) {
+            return res.status(404).json({ error: `Nothing has been posted to board ${target.name} yet` });
         }
 
-        throw error;
+        const message = posted.characters ? { characters: posted.characters } : { text: posted.text };
+        await sendPanelPost(req, res, message, target, 'restore',
+            `Restored the ${target.name} board posted at ${new Date(posted.postedAt).toLocaleString()}`);
+
+    } catch (error) {
+        console.error('Restore error:', error);
+        res.status(500).json({
+            error: 'Failed to restore the board',
+            details: error.message
+        });
     }
-};
+});
 
-// Create different view types
-const createCombinedView = (stageNumber) => {
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    return [
-        createStylizedHeader(`TOUR DE FRANCE S${stageNumber}`, VESTABOARD_CHARS.YELLOW),
-        formatLine(`STAGE ${stageNumber} RESULTS`, 'center'),
-        formatLine(`1. POGACAR`, 'left'), // Mock data
-        formatLine(`2. VINGEGAARD`, 'left'),
-        [VESTABOARD_CHARS.YELLOW, VESTABOARD_CHARS.YELLOW, ...textToCharCodes(` GC: POGACAR`), ...Array(8).fill(VESTABOARD_CHARS.BLANK)],
-        formatLine(`UPDATED: ${timestamp}`, 'right')
-    ];
-};
+// Archived stages of a race (every year, or ?year=), without their result tables
+app.get('/api/archive', (req, res) => {
+    const race = getRace(req.query.race);
+    if (!race) {
+        return res.status(400).json({ error: `Unknown race: ${req.query.race}` });
+    }
 
-const createStageView = (stageNumber) => {
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    return [
-        createStylizedHeader(`STAGE ${stageNumber}`, VESTABOARD_CHARS.RED),
-        formatLine(`STAGE RESULTS`, 'center'),
-        formatLine(`1. POGACAR`, 'left'),
-        formatLine(`2. VINGEGAARD`, 'left'),
-        formatLine(`3. EVENEPOEL`, 'left'),
-        formatLine(`TIME: ${timestamp}`, 'right')
-    ];
-};
+    res.json({ race: race.id, stages: listArchive(race.id, req.query.year) });
+});
 
-const createGCView = (stageNumber) => {
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    return [
-        createStylizedHeader(`GC STANDINGS`, VESTABOARD_CHARS.YELLOW),
-        formatLine(`AFTER STAGE ${stageNumber}`, 'center'),
-        [VESTABOARD_CHARS.YELLOW, VESTABOARD_CHARS.YELLOW, ...textToCharCodes(` 1. POGACAR`), ...Array(9).fill(VESTABOARD_CHARS.BLANK)],
-        formatLine(`2. VINGEGAARD +1:15`, 'left'),
-        formatLine(`3. EVENEPOEL +2:30`, 'left'),
-        formatLine(`TIME: ${timestamp}`, 'right')
-    ];
-};
+// One archived stage with its stage, GC and jersey results
+app.get('/api/archive/:race/:year/:stageNumber', (req, res) => {
+    const { race, year, stageNumber } = req.params;
+    if (!getRace(race)) {
+        return res.status(400).json({ error: `Unknown race: ${race}` });
+    }
 
-const createJerseyView = (stageNumber) => {
-    const now = new Date();
-    const timestamp = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-
-    return [
-        createStylizedHeader(`JERSEY HOLDERS`, VESTABOARD_CHARS.GREEN),
-        formatLine(`AFTER STAGE ${stageNumber}`, 'center'),
-        [VESTABOARD_CHARS.YELLOW, VESTABOARD_CHARS.YELLOW, ...textToCharCodes(` POGACAR`), ...Array(12).fill(VESTABOARD_CHARS.BLANK)],
-        [VESTABOARD_CHARS.GREEN, VESTABOARD_CHARS.GREEN, ...textToCharCodes(` CAVENDISH`), ...Array(9).fill(VESTABOARD_CHARS.BLANK)],
-        [VESTABOARD_CHARS.RED, VESTABOARD_CHARS.WHITE, ...textToCharCodes(` VINGEGAARD`), ...Array(8).fill(VESTABOARD_CHARS.BLANK)],
-        formatLine(`TIME: ${timestamp}`, 'right')
-    ];
-};
+    if (!/^\d{4}$/.test(year) || !/^\d+$/.test(stageNumber)) {
+        return res.status(400).json({ error: 'year must have four digits and stageNumber must be a whole number' });
+    }
 
-const createTestView = () => {
-    const now = new Date();
-    const timestamp = now.toISOString().slice(11, 19);
-
-    return [
-        createStylizedHeader(`CONNECTION TEST`, VESTABOARD_CHARS.BLUE),
-        formatLine(`VESTABOARD API`, 'center'),
-        formatLine(`STATUS: CONNECTED`, 'center'),
-        formatLine(`TIME: ${timestamp}`, 'center'),
-        Array(22).fill(VESTABOARD_CHARS.BLUE),
-        formatLine(`TEST SUCCESSFUL`, 'center')
-    ];
-};
+    const entry = loadArchivedStage(race, Number(year), Number(stageNumber));
+    if (!entry) {
+        return res.status(404).json({ error: `${race} ${year} stage ${stageNumber} is not in the archive` });
+    }
 
-// Ensure all grids are properly formatted
-const ensureValidGrid = (grid) => {
-    const result = [];
+    res.json(entry);
+});
 
-    for (let i = 0; i < 6; i++) {
-        if (i < grid.length && Array.isArray(grid[i])) {
-            const row = [...grid[i]];
+// Seed the archive from the results provider: { race, year, from, to, overwrite }, by default
+// every stage of the year that is not archived yet
+app.post('/api/archive/import', requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { race: raceId = DEFAULT_RACE, overwrite = false } = req.body;
+        const year = parseInt(req.body.year, 10);
 
-            // Ensure exactly 22 characters
-            if (row.length > 22) {
-                row.splice(22);
-            }
-            while (row.length < 22) {
-                row.push(VESTABOARD_CHARS.BLANK);
-            }
+        const race = getRace(raceId);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${raceId}` });
+        }
 
-            // Validate character codes
-            for (let j = 0; j < row.length; j++) {
-                if (typeof row[j] !== 'number' || row[j] < 0 || row[j] > 71) {
-                    row[j] = VESTABOARD_CHARS.BLANK;
-                }
-            }
+        if (!year) {
+            return res.status(400).json({ error: 'Please pass the year to import' });
+        }
 
-            result.push(row);
-        } else {
-            result.push(Array(22).fill(VESTABOARD_CHARS.BLANK));
+        const stageCount = getStageCount(race, await getCalendar(year, race.id));
+        const from = parseInt(req.body.from, 10) || 1;
+        const to = parseInt(req.body.to, 10) || stageCount;
+        if (from < 1 || to > stageCount || from > to) {
+            return res.status(400).json({ error: `Stages must be between 1 and ${stageCount}` });
         }
+
+        console.log(`Importing ${race.name} ${year} stages ${from}-${to} into the archive...`);
+        const stageNumbers = Array.from({ length: to - from + 1 }, (unused, i) => from + i);
+        const summary = await importArchive(year, race.id, stageNumbers, { overwrite });
+        recordAudit(req.user, 'archive-import', { race: race.id, year, from, to, archived: summary.archived.length });
+
+        res.json({
+            success: summary.failed.length === 0,
+            message: `Archived ${summary.archived.length} ${race.name} ${year} stages` +
+                `${summary.skipped.length ? `, ${summary.skipped.length} already archived` : ''}` +
+                `${summary.failed.length ? `, ${summary.failed.length} failed` : ''}`,
+            ...summary
+        });
+
+    } catch (error) {
+        console.error('Archive import error:', error);
+        res.status(500).json({
+            error: 'Failed to import into the archive',
+            details: error.message
+        });
     }
+});
 
-    return result;
-};
+// Cached stage data: every entry without its data, or one entry in full
+app.get('/api/cache', (req, res) => {
+    res.json({ version: CACHE_VERSION, entries: listCacheEntries() });
+});
 
-// Get current stage based on date
-const getCurrentStage = () => {
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
+app.get('/api/cache/:race/:year/:stageNumber', (req, res) => {
+    const { race, year, stageNumber } = req.params;
+    const entry = getCacheEntry(getCacheKey(race, year, stageNumber));
+    if (!entry) {
+        return res.status(404).json({ error: `Nothing cached for ${getCacheKey(race, year, stageNumber)}` });
+    }
+
+    res.json({ key: getCacheKey(race, year, stageNumber), ...entry, fresh: Date.parse(entry.expiresAt) > Date.now() });
+});
 
-    if (month === 7 && day >= 5 && day <= 27) {
-        return Math.min(Math.max(day - 4, 1), 21);
+// Invalidate one entry, so the next update fetches that stage again
+app.delete('/api/cache/:race/:year/:stageNumber', requireRole(ROLES.ADMIN), (req, res) => {
+    const { race, year, stageNumber } = req.params;
+    const removed = clearCache({ race, year, stageNumber });
+    if (removed.length === 0) {
+        return res.status(404).json({ error: `Nothing cached for ${getCacheKey(race, year, stageNumber)}` });
     }
-    return 6; // Default fallback
-};
+    recordAudit(req.user, 'clear-cache', { removed });
 
-// API Routes
+    res.json({ success: true, message: `Cleared ${removed.join(', ')}`, removed });
+});
 
-// Serve the frontend
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Posts waiting to be sent (or retried) and posts that were given up on
+app.get('/api/queue', (req, res) => {
+    res.json(loadQueue());
 });
 
-// Get system status
-app.get('/api/status', (req, res) => {
-    const cachedData = loadDataFromCache();
-    const currentStage = getCurrentStage();
+// Forget the dead letters
+app.delete('/api/queue/dead', requireRole(ROLES.ADMIN), (req, res) => {
+    const count = clearDeadLetters();
+    recordAudit(req.user, 'queue-clear-dead', { count });
+    res.json({ success: true, message: `Cleared ${count} dead letters` });
+});
 
-    res.json({
-        currentStage,
-        stageDate: `2025-07-${(4 + currentStage).toString().padStart(2, '0')}`,
-        lastUpdate: cachedData ? new Date(cachedData.timestamp).toLocaleString() : 'Never',
-        cacheStatus: cachedData ? 'Valid' : 'Empty',
-        apiStatus: READ_WRITE_KEY ? 'Configured' : 'Missing API Key',
-        protocol: USE_HTTPS ? 'HTTPS' : 'HTTP'
+// Drop a pending post
+app.delete('/api/queue/:id', requireRole(ROLES.OPERATOR), (req, res) => {
+    const entry = cancelPost(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'No pending post with that id (it may be sending now)' });
+    }
+    recordAudit(req.user, 'queue-cancel', { board: entry.board, view: entry.label });
 
-    });
+    res.json({ success: true, message: `Cancelled ${entry.label} for board ${entry.board}` });
 });
 
-// Send update to Vestaboard
-app.post('/api/update', async (req, res) => {
+// Queue a dead letter again
+app.post('/api/queue/dead/:id/retry', requireRole(ROLES.OPERATOR), (req, res) => {
+    const entry = retryDeadLetter(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'No dead letter with that id' });
+    }
+    recordAudit(req.user, 'queue-retry', { board: entry.board, view: entry.label });
+
+    res.json({ success: true, message: `Queued ${entry.label} for board ${entry.board} again`, entry });
+});
+
+// Watched riders and teams
+app.get('/api/watchlist', (req, res) => {
+    res.json(loadWatchlist());
+});
+
+// Add a rider or team: { type: 'rider' | 'team', name }
+app.post('/api/watchlist', requireRole(ROLES.OPERATOR), (req, res) => {
     try {
-        const { viewType = 'combined', stageNumber } = req.body;
+        const { type, name } = req.body;
+        const watchlist = addToWatchlist(type, name);
+        recordAudit(req.user, 'watchlist-add', { type, name });
 
-        if (!READ_WRITE_KEY) {
-            return res.status(400).json({ error: 'Vestaboard API key not configured' });
+        res.json({
+            success: true,
+            message: `${name} added to the watchlist`,
+            watchlist
+        });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove a rider or team
+app.delete('/api/watchlist/:type/:name', requireRole(ROLES.OPERATOR), (req, res) => {
+    try {
+        const { type, name } = req.params;
+        const watchlist = removeFromWatchlist(type, name);
+        recordAudit(req.user, 'watchlist-remove', { type, name });
+
+        res.json({
+            success: true,
+            message: `${name} removed from the watchlist`,
+            watchlist
+        });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// List supported races
+app.get('/api/races', (req, res) => {
+    res.json({ defaultRace: DEFAULT_RACE, races: listRaces() });
+});
+
+// Boards we can post to (no keys), primary first
+app.get('/api/boards', (req, res) => {
+    res.json({ boards: loadBoards().map(describeBoard) });
+});
+
+// Get a race calendar for a year (defaults to the current year)
+app.get('/api/calendar', async (req, res) => {
+    try {
+        const race = getRace(req.query.race);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${req.query.race}` });
         }
 
-        const stage = stageNumber || getCurrentStage();
+        const year = parseInt(req.query.year, 10) || getCurrentDate().year;
+        const calendar = await getCalendar(year, race.id);
 
-        if (stage < 1 || stage > 21) {
-            return res.status(400).json({ error: 'Stage number must be between 1 and 21' });
+        if (!calendar) {
+            return res.status(404).json({ error: `No ${race.name} calendar available for ${year}` });
         }
 
-        console.log(`Creating ${viewType} view for stage ${stage}`);
-
-        let grid;
-        switch (viewType) {
-            case 'stage':
-                grid = createStageView(stage);
-                break;
-            case 'gc':
-                grid = createGCView(stage);
-                break;
-            case 'jerseys':
-                grid = createJerseyView(stage);
-                break;
-            case 'combined':
-            default:
-                grid = createCombinedView(stage);
-                break;
+        res.json(calendar);
+
+    } catch (error) {
+        console.error('Calendar error:', error);
+        res.status(500).json({
+            error: 'Failed to load calendar',
+            details: error.message
+        });
+    }
+});
+
+// Boards a view renders for a race stage, from the same cached snapshot the cron worker uses
+const renderRequestedView = async (viewType, race, stage) => {
+    const { year } = getCurrentDate();
+    const context = await buildViewContext(stage, year, race.id);
+
+    return renderView(viewType, {
+        ...context,
+        live: viewType === 'live' ? await fetchLiveRace(stage, year, race.id) : null
+    });
+};
+
+// Dry run: the boards a view would post, without touching the Vestaboard or its rate limit
+app.post('/api/render', async (req, res) => {
+    try {
+        const { viewType = 'combined', stageNumber, race: raceId = DEFAULT_RACE } = req.body;
+
+        const viewError = getViewError(viewType);
+        if (viewError) {
+            return res.status(400).json({ error: viewError });
         }
 
-        const validGrid = ensureValidGrid(grid);
+        const race = getRace(raceId);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${raceId}` });
+        }
 
-        console.log('Sending to Vestaboard...');
-        const result = await postToVestaboard(validGrid);
+        const { stage, error } = await resolveRequestedStage(race, stageNumber);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Update cache with request info
-        const cacheData = {
-            lastRequest: {
-                viewType,
-                stageNumber: stage,
-                timestamp: Date.now()
-            }
-        };
-        saveDataToCache(cacheData);
+        const boards = await renderRequestedView(viewType, race, stage);
 
         res.json({
             success: true,
-            message: `${viewType} view for stage ${stage} sent successfully`,
-            result
+            message: `Preview of ${viewType} view for ${race.name} stage ${stage} (${boards.length} board${boards.length === 1 ? '' : 's'}, not posted)`,
+            race: race.id,
+            stageNumber: stage,
+            boards
         });
 
+    } catch (error) {
+        console.error('Render error:', error);
+        res.status(500).json({
+            error: 'Failed to render view',
+            details: error.message
+        });
+    }
+});
+
+// Send update to Vestaboard
+app.post('/api/update', requireRole(ROLES.OPERATOR), async (req, res) => {
+    try {
+        const { stageNumber, race: raceId = DEFAULT_RACE } = req.body;
+
+        const target = getBoard(req.body.board);
+        const boardError = getBoardError(target, req.body.board);
+        if (boardError) {
+            return res.status(400).json({ error: boardError });
+        }
+
+        // Each board has a default view for updates that do not name one
+        const viewType = req.body.viewType || target.view;
+        const viewError = getViewError(viewType);
+        if (viewError) {
+            return res.status(400).json({ error: viewError });
+        }
+
+        const race = getRace(raceId);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${raceId}` });
+        }
+
+        const { stage, error } = await resolveRequestedStage(race, stageNumber);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        console.log(`Creating ${viewType} view for ${race.name} stage ${stage}`);
+
+        // Multi-page views post their first page; the rotation shows the rest
+        const [view] = await renderRequestedView(viewType, race, stage);
+
+        console.log(`Sending to Vestaboard ${target.name}...`);
+        await sendPanelPost(req, res, { characters: view.characters }, target, viewType,
+            `${viewType} view for ${race.name} stage ${stage} sent to ${target.name} successfully`);
+
     } catch (error) {
         console.error('Update error:', error);
         res.status(500).json({
@@ -395,26 +633,140 @@ app.post('/api/update', async (req, res) => {
     }
 });
 
-// Send test message
-app.post('/api/test', async (req, res) => {
+// The rotation runs in the cron worker (index.js); the panel reads its status and sends it commands
+// through lib/worker.js. Without a running worker there is no rotation.
+const getRotationStatus = () => {
+    const state = loadWorkerState();
+    return state
+        ? { ...state.rotation, workerRunning: true }
+        : { state: ROTATION_STATE.STOPPED, total: 0, boards: [], lastPosted: null, workerRunning: false };
+};
+
+// Have the cron worker apply a rotation command, answering with the rotation afterwards;
+// 503 when no worker is running to take it
+const sendRotationCommand = async (req, res, command, describe = rotation => `Rotation ${rotation.state}`) => {
     try {
-        if (!READ_WRITE_KEY) {
-            return res.status(400).json({ error: 'Vestaboard API key not configured' });
+        const state = await sendWorkerCommand({ ...command, requestedBy: req.user.name });
+        recordAudit(req.user, `rotation-${command.action}`, command.action === 'start'
+            ? { race: command.race, stageNumber: command.stageNumber, views: command.views }
+            : {});
+
+        const rotation = { ...state.rotation, workerRunning: true };
+        res.json({ success: true, message: describe(rotation), rotation });
+
+    } catch (error) {
+        console.error(`Rotation ${command.action} error:`, error.message);
+        const status = { NO_WORKER: 503, WORKER_BUSY: 504 }[error.code] || 500;
+        res.status(status).json({
+            error: `Failed to ${command.action} the rotation`,
+            details: error.message,
+            rotation: getRotationStatus()
+        });
+    }
+};
+
+// Start (or refresh) the board rotation: stage top 10, GC top 10 and jersey boards
+app.post('/api/rotation/start', requireRole(ROLES.OPERATOR), async (req, res) => {
+    try {
+        const { stageNumber, race: raceId = DEFAULT_RACE, views = getPlaylist() } = req.body;
+
+        // The rotation runs on the primary board
+        const boardError = getBoardError(getPrimaryBoard());
+        if (boardError) {
+            return res.status(400).json({ error: boardError });
+        }
+
+        const race = getRace(raceId);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${raceId}` });
+        }
+
+        if (!Array.isArray(views) || views.length === 0) {
+            return res.status(400).json({ error: 'views must be a non-empty list of view names' });
         }
 
-        console.log('Sending test message...');
+        const viewError = views.map(getViewError).find(Boolean);
+        if (viewError) {
+            return res.status(400).json({ error: viewError });
+        }
+
+        const { stage, error } = await resolveRequestedStage(race, stageNumber);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { year } = getCurrentDate();
+        await sendRotationCommand(req, res, { action: 'start', race: race.id, year, stageNumber: stage, views },
+            rotation => `Rotation of ${rotation.total} boards for ${race.name} stage ${stage} ${rotation.state}`);
+
+    } catch (error) {
+        console.error('Rotation start error:', error);
+        res.status(500).json({
+            error: 'Failed to start rotation',
+            details: error.message
+        });
+    }
+});
+
+app.post('/api/rotation/pause', requireRole(ROLES.OPERATOR), (req, res) =>
+    sendRotationCommand(req, res, { action: 'pause' }));
+
+app.post('/api/rotation/resume', requireRole(ROLES.OPERATOR), (req, res) =>
+    sendRotationCommand(req, res, { action: 'resume' }));
+
+app.post('/api/rotation/stop', requireRole(ROLES.OPERATOR), (req, res) =>
+    sendRotationCommand(req, res, { action: 'stop' }));
+
+app.get('/api/rotation', (req, res) => {
+    res.json(getRotationStatus());
+});
 
-        const testGrid = createTestView();
-        const validGrid = ensureValidGrid(testGrid);
+// Live race situation for a stage, plus the cron worker's live mode status (null without a worker)
+app.get('/api/live', async (req, res) => {
+    try {
+        const race = getRace(req.query.race || DEFAULT_RACE);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${req.query.race}` });
+        }
 
-        const result = await postToVestaboard(validGrid);
+        const { stage, error } = await resolveRequestedStage(race, req.query.stage);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
+        const worker = loadWorkerState();
         res.json({
-            success: true,
-            message: 'Test message sent successfully',
-            result
+            race: race.id,
+            stageNumber: stage,
+            live: await fetchLiveRace(stage, getCurrentDate().year, race.id),
+            tracker: worker ? worker.live : null,
+            workerRunning: Boolean(worker)
         });
 
+    } catch (error) {
+        console.error('Live error:', error);
+        res.status(500).json({
+            error: 'Failed to load live race',
+            details: error.message
+        });
+    }
+});
+
+// Send test message
+app.post('/api/test', requireRole(ROLES.OPERATOR), async (req, res) => {
+    try {
+        const target = getBoard(req.body.board);
+        const boardError = getBoardError(target, req.body.board);
+        if (boardError) {
+            return res.status(400).json({ error: boardError });
+        }
+
+        console.log(`Sending test message to ${target.name}...`);
+
+        const [testBoard] = renderView('test');
+
+        await sendPanelPost(req, res, { characters: testBoard.characters }, target, 'test', 'Test message sent successfully');
+
     } catch (error) {
         console.error('Test error:', error);
         res.status(500).json({
@@ -424,20 +776,49 @@ app.post('/api/test', async (req, res) => {
     }
 });
 
-// Refresh data (clear cache and fetch new data)
-app.post('/api/refresh', async (req, res) => {
+// Refresh data: fetch a stage again (the current one unless stageNumber is given), update the
+// cache and report what changed since the snapshot it replaces and since the last post
+app.post('/api/refresh', requireRole(ROLES.OPERATOR), async (req, res) => {
     try {
-        // Clear cache
-        if (fs.existsSync(DATA_CACHE_PATH)) {
-            fs.unlinkSync(DATA_CACHE_PATH);
+        const { stageNumber, race: raceId = DEFAULT_RACE } = req.body;
+
+        const race = getRace(raceId);
+        if (!race) {
+            return res.status(400).json({ error: `Unknown race: ${raceId}` });
+        }
+
+        const { stage, error } = await resolveRequestedStage(race, stageNumber);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        // Here you would typically fetch new data from your existing functions
-        // For now, we'll just clear the cache
+        const { year } = getCurrentDate();
+        const { previous, data, changes } = await refreshStageData(stage, year, race.id);
+        recordAudit(req.user, 'refresh', { race: race.id, stageNumber: stage, changes: changes.map(change => change.message) });
+        const summary = summarizeResults(data);
+
+        // What posting now would change on the board, as the cron worker would decide it
+        const sincePost = detectChanges(loadLastPosted(), { race: race.id, year, stageNumber: stage, summary });
+
+        const described = previous
+            ? changes.map(change => change.message).join('; ') || 'no changes'
+            : 'first fetch of this stage';
 
         res.json({
             success: true,
-            message: 'Cache cleared and data refreshed'
+            message: `${race.name} stage ${stage} refreshed: ${described}`,
+            race: race.id,
+            year,
+            stageNumber: stage,
+            fetchedAt: new Date(data.timestamp).toISOString(),
+            previousFetchedAt: previous && previous.timestamp ? new Date(previous.timestamp).toISOString() : null,
+            summary: {
+                ...summary,
+                stageFinishers: getFinishers(data.stageResults).length,
+                gcRiders: getFinishers(data.gcResults).length
+            },
+            changes,
+            sincePost
         });
 
     } catch (error) {
@@ -449,17 +830,17 @@ app.post('/api/refresh', async (req, res) => {
     }
 });
 
-// Clear cache
-app.post('/api/clear-cache', async (req, res) => {
+// Clear cache: every entry, or those matching { race, year, stageNumber }
+app.post('/api/clear-cache', requireRole(ROLES.ADMIN), async (req, res) => {
     try {
-        if (fs.existsSync(DATA_CACHE_PATH)) {
-            fs.unlinkSync(DATA_CACHE_PATH);
-            console.log('Cache cleared');
-        }
+        const { race, year, stageNumber } = req.body;
+        const removed = clearCache({ race, year, stageNumber });
+        recordAudit(req.user, 'clear-cache', { removed });
 
         res.json({
             success: true,
-            message: 'Cache cleared successfully'
+            message: `Cache cleared successfully (${removed.length} entr${removed.length === 1 ? 'y' : 'ies'})`,
+            removed
         });
 
     } catch (error) {
@@ -485,6 +866,21 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Fail fast on a RESULTS_PROVIDER we do not have, rather than on the first request
+try {
+    getProvider();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Send anything still queued from the last run
+startQueue();
+
+if (!isAuthEnabled()) {
+    console.warn('⚠️  WARNING: No users.json, the panel and API are open to everyone (npm run users -- add <name> admin)');
+}
+
 // Start server
 // HTTPS Server Setup
 if (USE_HTTPS) {
@@ -530,8 +926,8 @@ if (USE_HTTPS) {
             console.log(`📊 Secure frontend: https://${domain}${HTTPS_PORT === 443 ? '' : ':' + HTTPS_PORT}`);
             console.log(`🔧 Secure API: https://${domain}${HTTPS_PORT === 443 ? '' : ':' + HTTPS_PORT}/api/*`);
 
-            if (!READ_WRITE_KEY) {
-                console.warn('⚠️  WARNING: VESTABOARD_READ_WRITE_KEY not found in environment variables');
+            if (getBoardError(getPrimaryBoard())) {
+                console.warn(`⚠️  WARNING: ${getBoardError(getPrimaryBoard())}`);
             }
         });
 
@@ -553,8 +949,8 @@ if (USE_HTTPS) {
             console.log(`📊 Frontend available at: http://localhost:${PORT}`);
             console.log(`🔧 API endpoints available at: http://localhost:${PORT}/api/*`);
 
-            if (!READ_WRITE_KEY) {
-                console.warn('⚠️  WARNING: VESTABOARD_READ_WRITE_KEY not found in environment variables');
+            if (getBoardError(getPrimaryBoard())) {
+                console.warn(`⚠️  WARNING: ${getBoardError(getPrimaryBoard())}`);
             }
         });
     }
@@ -565,8 +961,8 @@ if (USE_HTTPS) {
         console.log(`📊 Frontend available at: http://localhost:${PORT}`);
         console.log(`🔧 API endpoints available at: http://localhost:${PORT}/api/*`);
 
-        if (!READ_WRITE_KEY) {
-            console.warn('⚠️  WARNING: VESTABOARD_READ_WRITE_KEY not found in environment variables');
+        if (getBoardError(getPrimaryBoard())) {
+            console.warn(`⚠️  WARNING: ${getBoardError(getPrimaryBoard())}`);
         }
     });
 }
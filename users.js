@@ -0,0 +1,153 @@
+﻿// Manage the web panel's users (see lib/auth.js); run with `npm run users -- <command>`
+//
+//   list                       users, their roles and API token labels
+//   add <name> <role>          add a user (viewer, operator or admin), asking for a password
+//   role <name> <role>         change a user's role
+//   password <name>            set a new password
+//   token <name> [label]       create an API token; it is printed once and only its hash is kept
+//   revoke <name> <label>      remove a user's API tokens with that label
+//   remove <name>              remove a user
+//
+// Passwords are read from stdin, so they can also be piped in.
+const readline = require('readline');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const {
+    ROLES,
+    getUsersPath,
+    loadUsers,
+    saveUsers,
+    isAuthEnabled,
+    isRole,
+    hashPassword,
+    createApiToken
+} = require('./lib/auth');
+
+// Ask a question on the terminal, or read the next line from a pipe; `hidden` stops a terminal
+// from echoing the answer
+const ask = (question, hidden = false) => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    if (hidden && process.stdin.isTTY) {
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) {
+                process.stdout.write(question);
+            }
+        };
+    }
+
+    rl.question(question, (answer) => {
+        rl.close();
+        if (hidden && process.stdin.isTTY) {
+            process.stdout.write('\n');
+        }
+        resolve(answer);
+    });
+});
+
+const askPassword = async () => {
+    const password = await ask('Password: ', true);
+    if (password.length < 8) {
+        throw new Error('Passwords need at least 8 characters');
+    }
+    return password;
+};
+
+const checkRole = (role) => {
+    if (!isRole(role)) {
+        throw new Error(`Role must be one of ${Object.values(ROLES).join(', ')}`);
+    }
+};
+
+// Run fn on the named user and save the users file
+const updateUser = (name, fn) => {
+    const users = loadUsers();
+    const user = users.find(candidate => candidate.name === name);
+    if (!user) {
+        throw new Error(`No user named ${name}`);
+    }
+    fn(user);
+    saveUsers(users);
+};
+
+const COMMANDS = {
+    list: () => {
+        const users = loadUsers();
+        if (users.length === 0) {
+            console.log(isAuthEnabled()
+                ? `No users in ${getUsersPath()}: nobody can sign in`
+                : `No ${getUsersPath()}: the panel is open to everyone`);
+        }
+        users.forEach((user) => {
+            const tokens = (user.tokens || []).map(token => token.label);
+            console.log(`${user.name} (${user.role})${tokens.length ? ` tokens: ${tokens.join(', ')}` : ''}`);
+        });
+    },
+
+    add: async (name, role) => {
+        if (!name) {
+            throw new Error('Usage: add <name> <role>');
+        }
+        checkRole(role);
+        if (loadUsers().some(user => user.name === name)) {
+            throw new Error(`${name} already exists`);
+        }
+
+        const password = await askPassword();
+        saveUsers([...loadUsers(), { name, role, password: hashPassword(password), tokens: [] }]);
+        console.log(`Added ${name} (${role})`);
+    },
+
+    role: (name, role) => {
+        checkRole(role);
+        updateUser(name, (user) => { user.role = role; });
+        console.log(`${name} is now ${role}`);
+    },
+
+    password: async (name) => {
+        const password = await askPassword();
+        updateUser(name, (user) => { user.password = hashPassword(password); });
+        console.log(`Password changed for ${name}`);
+    },
+
+    token: (name, label = 'api') => {
+        const token = createApiToken(name, label);
+        if (!token) {
+            throw new Error(`No user named ${name}`);
+        }
+        console.log(`API token for ${name} (${label}), shown only this once:`);
+        console.log(token);
+    },
+
+    revoke: (name, label) => {
+        updateUser(name, (user) => { user.tokens = (user.tokens || []).filter(token => token.label !== label); });
+        console.log(`Revoked ${name}'s ${label} tokens`);
+    },
+
+    remove: (name) => {
+        const users = loadUsers();
+        if (!users.some(user => user.name === name)) {
+            throw new Error(`No user named ${name}`);
+        }
+        saveUsers(users.filter(user => user.name !== name));
+        console.log(`Removed ${name}`);
+    }
+};
+
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+    const run = COMMANDS[command];
+
+    if (!run) {
+        console.log(`Usage: npm run users -- <${Object.keys(COMMANDS).join('|')}> ...`);
+        process.exit(command ? 1 : 0);
+    }
+
+    Promise.resolve()
+        .then(() => run(...args))
+        .catch((error) => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}